@@ -53,11 +53,13 @@ module.exports = {
 			'./src/onboarding-popup.html',
 			'./src/debug-controls.html',
 			'./src/recording-saved-toast.html',
+			'./src/settings.html',
 			'./src/debug-controls-renderer.js',
 			'./src/meeting-popup-preload.js',
 			'./src/onboarding-preload.js',
 			'./src/debug-controls-preload.js',
 			'./src/recording-saved-toast-preload.js',
+			'./src/settings-preload.js',
 		],
 		// Local packaging/dev: don't require code signing unless explicitly enabled.
 		// Enable signing by running with: GIA_MAC_SIGN=1 npm run package
@@ -167,6 +169,12 @@ module.exports = {
 								js: './src/recording-saved-toast-preload.js',
 							},
 						},
+						{
+							name: 'settings',
+							preload: {
+								js: './src/settings-preload.js',
+							},
+						},
 					],
 				},
 			},
@@ -4,14 +4,37 @@ const statusEl = document.getElementById('status');
 const pauseBtn = document.getElementById('pauseBtn');
 const stopBtn = document.getElementById('stopBtn');
 const windowIdEl = document.getElementById('windowId');
+const metricsBodyEl = document.getElementById('metricsBody');
 
-let state = { recording: false, paused: false, windowId: null };
+const METRICS_REFRESH_MS = 5000;
+
+// Recording session states (see utils/recording-session.js) as shown to the user.
+const STATE_LABELS = {
+    idle: 'Idle',
+    detected: 'Meeting detected',
+    prompting: 'Waiting for confirmation',
+    starting: 'Starting',
+    recording: 'Recording',
+    paused: 'Paused',
+    stopping: 'Stopping',
+    uploading: 'Uploading',
+    ended: 'Ended',
+    failed: 'Failed',
+};
+
+let state = { state: 'idle', recording: false, paused: false, windowId: null };
 
 function render(next) {
     state = next || state;
 
     const { recording, paused, windowId } = state;
-    const status = !recording ? 'Idle' : paused ? 'Paused' : 'Recording';
+    const status = state.state
+        ? (STATE_LABELS[state.state] ?? state.state)
+        : !recording
+          ? 'Idle'
+          : paused
+            ? 'Paused'
+            : 'Recording';
 
     statusEl.textContent = `Status: ${status}`;
     windowIdEl.textContent = windowId ?? '—';
@@ -31,6 +54,59 @@ async function refresh() {
     }
 }
 
+function formatMs(ms) {
+    if (ms === null || ms === undefined) return '—';
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+}
+
+function cell(text, title) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    if (title) td.title = title;
+    return td;
+}
+
+function renderMetrics(summary) {
+    const entries = Object.entries(summary?.endpoints || {});
+    metricsBodyEl.replaceChildren();
+    if (!entries.length) {
+        const td = cell('No requests yet');
+        td.colSpan = 6;
+        const tr = document.createElement('tr');
+        tr.append(td);
+        metricsBodyEl.append(tr);
+        return;
+    }
+
+    for (const [endpoint, m] of entries) {
+        const statuses = Object.entries(m.byStatus)
+            .map(([status, count]) => `${status}: ${count}`)
+            .join(', ');
+        const failed = cell(String(m.failure), statuses || null);
+        if (m.failure) failed.classList.add('bad');
+
+        const tr = document.createElement('tr');
+        tr.title = `retries: ${m.retries}, network errors: ${m.networkErrors}, max: ${formatMs(m.maxMs)}`;
+        tr.append(
+            cell(endpoint),
+            cell(String(m.success)),
+            failed,
+            cell(String(m.timeouts)),
+            cell(formatMs(m.p50Ms)),
+            cell(formatMs(m.p95Ms)),
+        );
+        metricsBodyEl.append(tr);
+    }
+}
+
+async function refreshMetrics() {
+    try {
+        renderMetrics(await api.getApiMetrics());
+    } catch {
+        // ignore
+    }
+}
+
 pauseBtn.addEventListener('click', async () => {
     pauseBtn.disabled = true;
     try {
@@ -55,3 +131,5 @@ api.onState((next) => {
 });
 
 refresh();
+refreshMetrics();
+setInterval(refreshMetrics, METRICS_REFRESH_MS);
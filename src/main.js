@@ -6,6 +6,9 @@ import {
     ipcMain,
     Menu,
     nativeImage,
+    net,
+    Notification,
+    powerMonitor,
     screen,
     shell,
     systemPreferences,
@@ -15,15 +18,42 @@ import * as fs from 'fs';
 import * as path from 'path';
 import * as os from 'os';
 import {
+    AuthCancelledError,
     consumeAuthCallbackUrl,
     getStoredAccessToken,
+    getVerifiedIdentity,
     isAuthenticated,
+    listAccounts,
     login,
+    loginWithDeviceCode,
+    LoopbackPortUnavailableError,
     logout,
+    rescheduleTokenRefresh,
+    startTokenRefreshScheduler,
+    switchAccount,
 } from './utils/auth';
-import Api from './utils/api';
+import Api, { ApiError } from './utils/api';
 import logger from './utils/logger';
 import { loadEnv } from './utils/load-env';
+import RecordingSession, { SessionState } from './utils/recording-session';
+import RecordingLedger from './utils/recording-ledger';
+import { buildPauseTimeline, pauseTimelineIds } from './utils/pause-timeline';
+import SessionCheckpoint from './utils/session-checkpoint';
+import AutoRecordRules, { AutoRecordAction } from './utils/auto-record-rules';
+import UploadTracker, { UploadStatus } from './utils/upload-tracker';
+import Preferences from './utils/preferences';
+import FeatureFlags, { FeatureFlag } from './utils/feature-flags';
+import RecordingGuard, { GuardReason } from './utils/recording-guard';
+import IcsCalendar from './utils/calendar-ics';
+import Outbox from './utils/outbox';
+import { redactUploadToken } from './utils/upload-token-response';
+import {
+    Environment,
+    getEnvironment,
+    listEnvironments,
+    readEnvironmentSwitch,
+    writeEnvironmentSwitch,
+} from './utils/environments';
 
 loadEnv();
 
@@ -38,13 +68,16 @@ if (process.platform === 'win32') {
 }
 
 const DEEPLINK_SCHEME = process.env.GIA_DEEPLINK_SCHEME || 'gia';
+const ENVIRONMENT = getEnvironment();
+const PLATFORM_CALLS_URL = `${ENVIRONMENT.platformUrl}/calls`;
 
 logger.configure({
-    apiUrl: 'https://r0ng0htend.execute-api.us-east-2.amazonaws.com/stage/desktop-sdk-logger',
+    apiUrl: ENVIRONMENT.loggerUrl,
 });
 logger.setBaseContext({
     process: 'main',
     service: 'desktop-sdk',
+    environment: ENVIRONMENT.name,
     platform: process.platform,
     userId: null,
     user_id: null,
@@ -88,10 +121,13 @@ api.onAuthExpired = async () => {
     if (authExpiredPopupShown || authRefreshInFlight) return;
     authRefreshInFlight = true;
     logger.info('[auth] token expired (401), attempting silent refresh');
+    const signal = api.sessionSignal;
 
     // Try silent refresh first
     try {
         const token = await getStoredAccessToken({ allowRefresh: true });
+        // Signed out meanwhile: the login popup is already showing.
+        if (signal.aborted) return;
         if (token?.access_token) {
             logger.info('[auth] silent refresh succeeded');
             api.setAuthToken(token.access_token);
@@ -128,17 +164,27 @@ const START_ON_LOGIN = true;
 let loginInFlight = null;
 
 let tray = null;
-let isRecording = false;
-let isPaused = false;
+
+// Single source of truth for the recording lifecycle (see utils/recording-session.js).
+const recordingSession = new RecordingSession();
+const uploadTracker = new UploadTracker();
+const recordingGuard = new RecordingGuard({
+    getIdleSeconds: () => powerMonitor.getSystemIdleTime(),
+});
 
 let meetingPopupWindow = null;
 let recordingSavedToastWindow = null;
+let recordingSavedToastContent = null; // { title, subtitle, progress, autoDismiss, retry }
+let toastUploadWindowId = null; // upload the toast is currently reporting on
 let debugControlsWindow = null;
 let onboardingWindow = null;
-let currentMeetingInfo = null; // { windowId, meetingUrl, meetingUrlSource, meetingUrlUpdatedAt, meetingDetectedAt, uploadToken, recordingId, sdkUploadId, lastRegisteredMeetingUrl, lastRegisterAttemptUrl, lastRegisterAttemptAt }
-let userWantsToRecord = false; // Set to true when user confirms they want to record
-let recordingStarted = false; // Ensures recording only starts once per meeting
-let userStoppedRecording = false; // True when user manually stopped — keeps currentMeetingInfo alive on idle
+// Device code login started from the onboarding window; aborted when it closes.
+let deviceLoginController = null;
+let settingsWindow = null;
+let currentMeetingInfo = null; // { windowId, platform, meetingUrl, meetingUrlSource, meetingUrlUpdatedAt, meetingDetectedAt, calendarEvent, calendarMatch, uploadToken, uploadTokenExpiresAt, recordingId, sdkUploadId, lastRegisteredMeetingUrl, lastRegisterAttemptUrl, lastRegisterAttemptAt }
+// Every open meeting window the SDK has reported, keyed by windowId. Entries have the
+// same shape as currentMeetingInfo, which points at the entry the session is tracking.
+const detectedMeetings = new Map();
 let meetingUrlFallbackTimer = null; // Fallback timer for URL registration when meeting-updated is delayed
 
 function bringWindowToFront(win, reason = 'unknown') {
@@ -249,8 +295,11 @@ let userProfileFetchInFlight = null;
 let userProfileToken = null;
 let cachedUserId = null;
 let cachedUserFirstName = null;
-let cachedBotlessEnabled = false;
 let userProfileLastFetchedAt = 0;
+// Accounts with stored tokens ({ sub, email, name, active }), for the tray switcher.
+let knownAccounts = [];
+// From the active account's verified ID token; names the user even without a profile.
+let verifiedIdentity = null;
 const PROFILE_REFRESH_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
 let profileRefreshTimer = null;
 
@@ -362,42 +411,81 @@ async function sendDesktopSdkDiagnosticsIfNeeded() {
     }
     if (desktopDiagnosticsInFlight) return await desktopDiagnosticsInFlight;
 
+    const signal = api.sessionSignal;
     desktopDiagnosticsInFlight = (async () => {
+        const diagnostics = {
+            timestamp: new Date(),
+            platform: buildPlatformString(),
+            version: buildAppVersionString(),
+            permissions,
+            apiMetrics: api.metrics.summary(),
+        };
         try {
-            await api.updateDesktopSdkDiagnostics({
-                timestamp: new Date(),
-                platform: buildPlatformString(),
-                version: buildAppVersionString(),
-                permissions,
-            });
+            await api.updateDesktopSdkDiagnostics(diagnostics);
+            if (signal.aborted) return;
             desktopDiagnosticsToken = token;
             desktopDiagnosticsLastPermissionsSig = permissionsSig;
             desktopDiagnosticsLastSentAt = Date.now();
+            getOutbox().remove(OutboxKind.DIAGNOSTICS, 'latest');
             logger.info('[auth] desktop sdk diagnostics updated');
         } catch (e) {
-            // Best-effort only: never block auth on diagnostics.
+            if (isSessionCancelled(e)) return;
+            // Never block auth on diagnostics; the outbox sends them once we're back online.
             logger.warn('[auth] failed to update desktop sdk diagnostics', e);
+            if (!isPermanentApiFailure(e)) {
+                getOutbox().enqueue(OutboxKind.DIAGNOSTICS, 'latest', diagnostics, { error: e });
+            }
         } finally {
-            desktopDiagnosticsInFlight = null;
+            if (!signal.aborted) desktopDiagnosticsInFlight = null;
         }
     })();
 
     return await desktopDiagnosticsInFlight;
 }
 
+async function refreshAccountList() {
+    try {
+        knownAccounts = await listAccounts();
+    } catch (e) {
+        logger.warn('[auth] failed to list accounts', e);
+    }
+}
+
+async function refreshVerifiedIdentity() {
+    try {
+        verifiedIdentity = await getVerifiedIdentity();
+    } catch (e) {
+        logger.warn('[auth] failed to read verified identity', e);
+        verifiedIdentity = null;
+    }
+    logger.setAuthSubject(verifiedIdentity?.sub);
+}
+
+function identityFirstName(identity) {
+    if (identity?.givenName) return identity.givenName;
+    // Auth0 falls back to the email address for `name`; don't greet with that.
+    const first = identity?.name?.trim().split(/\s+/)[0];
+    return first && !first.includes('@') ? first : null;
+}
+
 async function syncUserIdFromProfile({ forceRefresh = false } = {}) {
+    await refreshAccountList();
     const token = api?.authToken || null;
     if (!token) {
         cachedUserId = null;
         cachedUserFirstName = null;
-        cachedBotlessEnabled = false;
+        verifiedIdentity = null;
         userProfileToken = null;
         userProfileLastFetchedAt = 0;
         logger.setUserId(null);
+        logger.setAuthSubject(null);
+        getFeatureFlags().reset();
         stopProfileRefreshTimer();
         return null;
     }
 
+    await refreshVerifiedIdentity();
+
     // Avoid refetching if token hasn't changed and we already have a user id
     // (unless force-refreshing to pick up preference changes).
     if (!forceRefresh && userProfileToken === token && cachedUserId) {
@@ -412,27 +500,36 @@ async function syncUserIdFromProfile({ forceRefresh = false } = {}) {
     }
 
     userProfileToken = token;
+    const signal = api.sessionSignal;
     userProfileFetchInFlight = (async () => {
         try {
             const profile = await api.getUserProfile();
+            // Signed out while the request was in flight: don't resurrect the old user.
+            if (signal.aborted) return null;
             const uid = typeof profile?._id === 'string' ? profile._id : null;
             cachedUserId = uid;
-            cachedUserFirstName = typeof profile?.firstName === 'string' ? profile.firstName : null;
-            cachedBotlessEnabled = Boolean(profile?.preferences?.botlessEnabled);
+            cachedUserFirstName =
+                typeof profile?.firstName === 'string'
+                    ? profile.firstName
+                    : identityFirstName(verifiedIdentity);
             userProfileLastFetchedAt = Date.now();
             logger.setUserId(uid);
-            logger.info('[auth] botlessEnabled:', cachedBotlessEnabled);
+            const flags = getFeatureFlags().update(uid, profile);
+            logger.info('[auth] feature flags:', flags);
             startProfileRefreshTimer();
             return uid;
         } catch (e) {
+            if (signal.aborted) return null;
             cachedUserId = null;
-            cachedUserFirstName = null;
-            cachedBotlessEnabled = false;
+            // Still greet the user by the name in their ID token.
+            cachedUserFirstName = identityFirstName(verifiedIdentity);
             logger.setUserId(null);
+            // Feature flags keep their last known values until a profile fetch succeeds.
             logger.warn('[auth] failed to fetch user profile for userId', e);
             return null;
         } finally {
-            userProfileFetchInFlight = null;
+            // After a logout this slot may already belong to the next session's fetch.
+            if (!signal.aborted) userProfileFetchInFlight = null;
         }
     })();
 
@@ -525,7 +622,7 @@ function getPermissionsBooleans() {
 }
 
 function hasActiveMeetingWaitingForRecording() {
-    return !!currentMeetingInfo && !isRecording;
+    return !!currentMeetingInfo && !recordingSession.isRecording();
 }
 
 function showJoinMeetingPopupForInsufficientPermissions(reason = 'unknown') {
@@ -536,6 +633,7 @@ function showJoinMeetingPopupForInsufficientPermissions(reason = 'unknown') {
         windowId: currentMeetingInfo?.windowId ?? null,
     });
     showMeetingPopup();
+    recordingSession.transition(SessionState.PROMPTING, { reason });
     refreshTrayMenu();
     return true;
 }
@@ -759,6 +857,835 @@ function clearShowReadyFlag() {
     writeOnboardingState({ ...state, showReady: false });
 }
 
+// Local recording history (see utils/recording-ledger.js)
+const RECENT_RECORDINGS_LIMIT = 8;
+let recordingLedger = null;
+let activeLedgerId = null; // attemptId of the session currently being written
+
+function getRecordingLedger() {
+    if (!recordingLedger) {
+        recordingLedger = new RecordingLedger({
+            filePath: path.join(app.getPath('userData'), 'recordings.ledger.jsonl'),
+        });
+    }
+    return recordingLedger;
+}
+
+function buildLedgerMeetingFields() {
+    // Only copy known values so a later, emptier snapshot never erases earlier data.
+    const fields = {
+        windowId: currentMeetingInfo?.windowId ?? recordingSession.windowId,
+        platform: currentMeetingInfo?.platform,
+        title: currentMeetingInfo?.calendarEvent?.title,
+        meetingUrl: currentMeetingInfo?.meetingUrl,
+        registeredMeetingUrl: currentMeetingInfo?.lastRegisteredMeetingUrl,
+        recordingId: currentMeetingInfo?.recordingId,
+        sdkUploadId: currentMeetingInfo?.sdkUploadId,
+    };
+    for (const key of Object.keys(fields)) {
+        if (fields[key] === null || fields[key] === undefined) delete fields[key];
+    }
+    return fields;
+}
+
+function recordSessionTransitionInLedger(_snapshot, entry) {
+    if (entry.to === SessionState.STARTING) {
+        activeLedgerId = entry.attemptId;
+    }
+    const id = activeLedgerId;
+    if (!id) return;
+
+    const ledger = getRecordingLedger();
+    const prev = ledger.get(id) || {};
+    const patch = { ...buildLedgerMeetingFields(), status: entry.to };
+    const pauses = Array.isArray(prev.pauses) ? prev.pauses.slice() : [];
+
+    switch (entry.to) {
+        case SessionState.STARTING:
+            patch.requestedAt = entry.at;
+            patch.source = entry.reason;
+            break;
+        case SessionState.RECORDING:
+            if (entry.from === SessionState.PAUSED && pauses.length) {
+                pauses[pauses.length - 1] = { ...pauses[pauses.length - 1], resumedAt: entry.at };
+                patch.pauses = pauses;
+            } else if (!prev.startedAt) {
+                patch.startedAt = entry.at;
+            }
+            break;
+        case SessionState.PAUSED:
+            patch.pauses = [...pauses, { pausedAt: entry.at, resumedAt: null }];
+            break;
+        case SessionState.STOPPING:
+            patch.stoppedAt = entry.at;
+            patch.stopReason = entry.reason;
+            break;
+        case SessionState.UPLOADING:
+            if (!prev.stoppedAt) patch.stoppedAt = entry.at;
+            break;
+        case SessionState.ENDED:
+        case SessionState.FAILED:
+            if (!prev.stoppedAt) patch.stoppedAt = entry.at;
+            patch.endedAt = entry.at;
+            if (entry.error) patch.error = entry.error;
+            break;
+        case SessionState.IDLE:
+            // Session dropped (logout, meeting closed, ...) before it reached an end state.
+            if (prev.status === SessionState.ENDED || prev.status === SessionState.FAILED) {
+                activeLedgerId = null;
+                return;
+            }
+            patch.status = 'interrupted';
+            patch.endedAt = entry.at;
+            patch.endReason = entry.reason;
+            break;
+        default:
+            return;
+    }
+
+    ledger.record(id, patch);
+    if (patch.endedAt) activeLedgerId = null;
+}
+
+const LEDGER_STATUS_LABELS = {
+    starting: 'Starting',
+    recording: 'Recording',
+    paused: 'Paused',
+    stopping: 'Stopping',
+    uploading: 'Uploading',
+    ended: 'Ended',
+    failed: 'Failed',
+    interrupted: 'Interrupted',
+    saved: 'Saved',
+    'upload-failed': 'Upload failed',
+};
+
+function formatPlatformName(platform) {
+    return platform ? platform.charAt(0).toUpperCase() + platform.slice(1) : 'Meeting';
+}
+
+function formatLedgerEntryLabel(record) {
+    const at = new Date(record.startedAt || record.requestedAt || record.createdAt);
+    const when = at.toLocaleString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+    });
+    const name = record.title || formatPlatformName(record.platform);
+    const status = LEDGER_STATUS_LABELS[record.status] || record.status || 'Unknown';
+    return `${when} · ${name} — ${status}`;
+}
+
+function buildFailedUploadMenuItems() {
+    return uploadTracker.list({ status: UploadStatus.FAILED }).map((upload) => ({
+        label: `Retry Upload (${formatPlatformName(upload.platform)} meeting)`,
+        click: async () => {
+            try {
+                await retryRecordingUpload(upload.windowId, 'tray');
+            } catch (e) {
+                logger.error('[tray] failed to retry upload:', e);
+            }
+        },
+    }));
+}
+
+function buildRecentRecordingsSubmenu() {
+    let records = [];
+    try {
+        records = getRecordingLedger().list({ limit: RECENT_RECORDINGS_LIMIT });
+    } catch (e) {
+        logger.warn('[ledger] failed to list recent recordings', { error: e?.message });
+    }
+    if (!records.length) {
+        return [{ label: 'No recordings yet', enabled: false }];
+    }
+    return records.map((record) => ({
+        label: formatLedgerEntryLabel(record),
+        // Only sessions that got a recording id from the backend exist on the platform.
+        enabled: !!record.recordingId,
+        click: () => {
+            shell.openExternal(`${PLATFORM_CALLS_URL}/${encodeURIComponent(record.recordingId)}`);
+        },
+    }));
+}
+
+// Pause/resume timeline (see utils/pause-timeline.js)
+const PAUSE_TIMELINE_RETRY_DELAYS_MS = [5_000, 30_000, 2 * 60_000, 10 * 60_000];
+
+// `signal` is the session the first attempt ran in; retries stop once it's signed out so
+// the timeline is never sent with the next user's token. `liveIds` are the current
+// meeting's ids, used only where the ledger record doesn't have them.
+async function submitPauseTimeline(
+    attemptId,
+    liveIds = {},
+    attempt = 0,
+    signal = api.sessionSignal,
+) {
+    if (signal.aborted) {
+        logger.info('[pause-timeline] dropped (signed out)', { attemptId, attempts: attempt });
+        return;
+    }
+    const ledger = getRecordingLedger();
+    const record = attemptId ? ledger.get(attemptId) : null;
+    const timeline = buildPauseTimeline(record);
+    if (!timeline?.pauses.length) return;
+    const { recordingId, sdkUploadId } = pauseTimelineIds(record, liveIds);
+    if (!recordingId || !sdkUploadId) {
+        logger.info('[pause-timeline] skipped (missing recordingId/sdkUploadId)', { attemptId });
+        return;
+    }
+
+    try {
+        const accessToken = await ensureAccessToken({ interactive: false });
+        if (!accessToken) {
+            throw new Error('Not authenticated: no access token available');
+        }
+        await api.submitPauseTimeline({ recordingId, sdkUploadId, ...timeline });
+        ledger.record(attemptId, {
+            pauseTimeline: { status: 'submitted', attempts: attempt + 1 },
+        });
+        logger.info('[pause-timeline] submitted', {
+            recordingId,
+            pauses: timeline.pauses.length,
+            attempts: attempt + 1,
+        });
+    } catch (e) {
+        if (signal.aborted) {
+            logger.info('[pause-timeline] dropped (signed out)', { attemptId, attempts: attempt });
+            return;
+        }
+        const status = e instanceof ApiError ? e.status : null;
+        // A 401 may succeed once the token is refreshed; other non-retryable
+        // responses (4xx) won't.
+        const permanent = e instanceof ApiError && !e.retryable && status !== 401;
+        const scheduledDelayMs = PAUSE_TIMELINE_RETRY_DELAYS_MS[attempt];
+        if (permanent || scheduledDelayMs === undefined) {
+            logger.error('[pause-timeline] giving up', {
+                recordingId,
+                attempts: attempt + 1,
+                status,
+                error: e?.message,
+            });
+            ledger.record(attemptId, {
+                pauseTimeline: { status: 'failed', attempts: attempt + 1, error: e?.message },
+            });
+            return;
+        }
+
+        // Never come back sooner than the server asked us to.
+        const delayMs = Math.max(scheduledDelayMs, e?.retryAfterMs || 0);
+        logger.warn('[pause-timeline] submit failed, retrying', {
+            recordingId,
+            attempt: attempt + 1,
+            delayMs,
+            status,
+            error: e?.message,
+        });
+        ledger.record(attemptId, {
+            pauseTimeline: { status: 'pending', attempts: attempt + 1, error: e?.message },
+        });
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', cancelRetry);
+            submitPauseTimeline(attemptId, liveIds, attempt + 1, signal);
+        }, delayMs);
+        const cancelRetry = () => clearTimeout(timer);
+        signal.addEventListener('abort', cancelRetry, { once: true });
+    }
+}
+
+// Upload progress (see utils/upload-tracker.js)
+const LEDGER_UPLOAD_STATUS = {
+    [UploadStatus.UPLOADING]: 'uploading',
+    [UploadStatus.COMPLETED]: 'saved',
+    [UploadStatus.FAILED]: 'upload-failed',
+};
+const lastUploadStatusByWindow = new Map();
+
+function buildUploadToastContent(upload) {
+    switch (upload.status) {
+        case UploadStatus.COMPLETED:
+            return { title: 'Recording saved', subtitle: 'Generating summary…' };
+        case UploadStatus.FAILED:
+            return {
+                title: 'Upload failed',
+                subtitle: upload.error || 'Your recording could not be uploaded',
+                autoDismiss: false,
+                retry: true,
+            };
+        default:
+            return {
+                title: 'Uploading recording…',
+                subtitle: `${upload.progress}% uploaded`,
+                progress: upload.progress,
+                autoDismiss: false,
+            };
+    }
+}
+
+function onUploadChange(upload) {
+    const statusChanged = lastUploadStatusByWindow.get(upload.windowId) !== upload.status;
+    lastUploadStatusByWindow.set(upload.windowId, upload.status);
+
+    // Progress ticks only matter to the tooltip/toast; the ledger gets status changes.
+    if (statusChanged && upload.attemptId && getRecordingLedger().get(upload.attemptId)) {
+        getRecordingLedger().record(upload.attemptId, {
+            status: LEDGER_UPLOAD_STATUS[upload.status],
+            upload: {
+                status: upload.status,
+                progress: upload.progress,
+                retries: upload.retries,
+                error: upload.error,
+            },
+            ...(upload.completedAt ? { uploadedAt: upload.completedAt } : {}),
+        });
+    }
+
+    updateTrayToolTip();
+    if (statusChanged) refreshTrayMenu();
+
+    if (upload.windowId !== toastUploadWindowId) return;
+    const content = buildUploadToastContent(upload);
+    if (upload.status === UploadStatus.UPLOADING) {
+        // Progress only updates a toast that is still open; the user may have dismissed it.
+        updateRecordingSavedToast(content);
+    } else {
+        showRecordingSavedToast(content);
+    }
+}
+
+uploadTracker.on('change', onUploadChange);
+
+async function retryRecordingUpload(windowId, source = 'unknown') {
+    const upload = uploadTracker.get(windowId);
+    if (!upload || upload.status !== UploadStatus.FAILED) {
+        logger.info('[upload] retry skipped (no failed upload for window)', { windowId, source });
+        return false;
+    }
+
+    logger.info('[upload] retrying upload', {
+        windowId,
+        source,
+        recordingId: upload.recordingId,
+        retries: upload.retries,
+    });
+    toastUploadWindowId = windowId;
+    const retried = uploadTracker.begin(windowId, upload);
+    showRecordingSavedToast(buildUploadToastContent(retried));
+
+    try {
+        await RecallAiSdk.uploadRecording({ windowId });
+        return true;
+    } catch (e) {
+        logger.error('[upload] retry failed:', e);
+        uploadTracker.fail(windowId, e);
+        return false;
+    }
+}
+
+// Crash recovery (see utils/session-checkpoint.js)
+// Sessions in these states still owe the backend an upload and/or URL registration.
+const CHECKPOINT_STATES = new Set([
+    SessionState.STARTING,
+    SessionState.RECORDING,
+    SessionState.PAUSED,
+    SessionState.STOPPING,
+    SessionState.UPLOADING,
+]);
+let sessionCheckpoint = null;
+let pendingSessionRecovery = null; // checkpoint left behind by the previous process
+let sessionRecoveryInFlight = null;
+
+function getSessionCheckpoint() {
+    if (!sessionCheckpoint) {
+        sessionCheckpoint = new SessionCheckpoint({
+            filePath: path.join(app.getPath('userData'), 'session.checkpoint.json'),
+        });
+    }
+    return sessionCheckpoint;
+}
+
+// Called on every session transition and whenever the meeting data the backend
+// needs (recording id, upload id, confirmed URL) changes.
+function checkpointRecordingSession() {
+    const snapshot = recordingSession.snapshot();
+    if (!CHECKPOINT_STATES.has(snapshot.state)) {
+        getSessionCheckpoint().clear();
+        return;
+    }
+    getSessionCheckpoint().write({
+        userId: cachedUserId,
+        state: snapshot.state,
+        since: snapshot.since,
+        attemptId: snapshot.attemptId,
+        windowId: snapshot.windowId,
+        meeting: currentMeetingInfo
+            ? {
+                  platform: currentMeetingInfo.platform ?? null,
+                  meetingUrl: currentMeetingInfo.meetingUrl ?? null,
+                  meetingUrlSource: currentMeetingInfo.meetingUrlSource ?? null,
+                  calendarEvent: currentMeetingInfo.calendarEvent ?? null,
+                  recordingId: currentMeetingInfo.recordingId ?? null,
+                  sdkUploadId: currentMeetingInfo.sdkUploadId ?? null,
+                  lastRegisteredMeetingUrl: currentMeetingInfo.lastRegisteredMeetingUrl ?? null,
+              }
+            : null,
+    });
+}
+
+/**
+ * Pick up a checkpoint left by a process that died mid-recording. Runs before the SDK
+ * starts so nothing in this process can overwrite it first. The backend side is
+ * finished later by completePendingSessionRecovery(), once we have a token.
+ */
+function detectOrphanedSession() {
+    const orphan = getSessionCheckpoint().takeOrphan();
+    if (!orphan || !CHECKPOINT_STATES.has(orphan.state)) return;
+
+    pendingSessionRecovery = { ...orphan, detectedAt: Date.now() };
+    logger.warn('[recovery] found recording session interrupted by previous shutdown', {
+        state: orphan.state,
+        attemptId: orphan.attemptId,
+        recordingId: orphan.meeting?.recordingId ?? null,
+        interruptedAfterMs: Date.now() - (orphan.since || Date.now()),
+    });
+
+    if (orphan.attemptId && getRecordingLedger().get(orphan.attemptId)) {
+        getRecordingLedger().record(orphan.attemptId, {
+            status: 'interrupted',
+            endedAt: Date.now(),
+            endReason: 'process-exit',
+        });
+    }
+}
+
+// Returns the outcome of the outstanding registerMeetingUrl call for an orphaned
+// session, or null if it has to wait for the user to sign in.
+async function registerOrphanedMeetingUrl(orphan) {
+    const meeting = orphan.meeting || {};
+    if (!meeting.recordingId || !meeting.sdkUploadId) return { outcome: 'no-recording' };
+    if (meeting.lastRegisteredMeetingUrl) return { outcome: 'already-registered' };
+    // Same rule as registerCurrentMeetingUrlIfNeeded(): never register a URL that
+    // only came from meeting-detected, it may belong to a previous meeting.
+    if (!meeting.meetingUrl || meeting.meetingUrlSource !== 'updated') {
+        return { outcome: 'no-confirmed-url' };
+    }
+
+    const accessToken = await ensureAccessToken({ interactive: false });
+    if (!accessToken) return null;
+    if (orphan.userId && cachedUserId && orphan.userId !== cachedUserId) {
+        return { outcome: 'skipped-other-user' };
+    }
+
+    const registration = {
+        meetingUrl: meeting.meetingUrl,
+        recordingId: meeting.recordingId,
+        sdkUploadId: meeting.sdkUploadId,
+        calendarEvent: meeting.calendarEvent ?? null,
+    };
+    try {
+        await api.registerMeetingUrl(registration);
+        return { outcome: 'registered' };
+    } catch (e) {
+        if (isSessionCancelled(e)) return null;
+        logger.error('[recovery] failed to register meeting URL for interrupted session:', e);
+        if (isPermanentApiFailure(e)) {
+            return { outcome: 'failed', error: e?.message || String(e) };
+        }
+        queueMeetingUrlRegistration({ ...registration, attemptId: orphan.attemptId }, e);
+        return { outcome: 'queued', error: e?.message || String(e) };
+    }
+}
+
+// Durable queue for backend calls that must survive network loss (see utils/outbox.js)
+const OutboxKind = Object.freeze({
+    REGISTER_MEETING_URL: 'register-meeting-url',
+    DIAGNOSTICS: 'desktop-sdk-diagnostics',
+});
+let outbox = null;
+
+// Work abandoned because the user signed out (see endAuthSession).
+function isSessionCancelled(e) {
+    return (e instanceof ApiError && e.code === 'cancelled') || e instanceof AuthCancelledError;
+}
+
+// 401s are retried after the next login/refresh, cancelled calls on the next replay;
+// other rejected requests never succeed.
+function isPermanentApiFailure(e) {
+    return e instanceof ApiError && !e.retryable && e.status !== 401 && e.code !== 'cancelled';
+}
+
+function getOutbox() {
+    if (!outbox) {
+        outbox = new Outbox({
+            filePath: path.join(app.getPath('userData'), 'outbox.json'),
+            isOnline: () => net.isOnline(),
+            isPermanent: isPermanentApiFailure,
+        });
+        outbox.setHandler(OutboxKind.REGISTER_MEETING_URL, deliverQueuedMeetingUrlRegistration);
+        // Send current metrics rather than the snapshot taken when the item was queued.
+        outbox.setHandler(OutboxKind.DIAGNOSTICS, (diagnostics) =>
+            api.updateDesktopSdkDiagnostics({ ...diagnostics, apiMetrics: api.metrics.summary() }),
+        );
+        outbox.on('change', () => refreshTrayMenu());
+    }
+    return outbox;
+}
+
+// One queued registration per recording; a newer URL replaces an older one.
+function queueMeetingUrlRegistration(
+    { meetingUrl, recordingId, sdkUploadId, calendarEvent, attemptId },
+    error,
+) {
+    getOutbox().enqueue(
+        OutboxKind.REGISTER_MEETING_URL,
+        recordingId,
+        {
+            meetingUrl,
+            recordingId,
+            sdkUploadId,
+            calendarEvent: calendarEvent ?? null,
+            attemptId: attemptId ?? null,
+            userId: cachedUserId,
+        },
+        { error },
+    );
+}
+
+async function deliverQueuedMeetingUrlRegistration(payload) {
+    const accessToken = await ensureAccessToken({ interactive: false });
+    if (!accessToken) {
+        throw new Error('Not authenticated: no access token available');
+    }
+    // Never link another account's recording; wait for its owner to sign in again.
+    if (payload.userId && cachedUserId && payload.userId !== cachedUserId) {
+        throw new Error('Queued registration belongs to a different user');
+    }
+
+    const { meetingUrl, recordingId, sdkUploadId, calendarEvent, attemptId } = payload;
+    await api.registerMeetingUrl({ meetingUrl, recordingId, sdkUploadId, calendarEvent });
+
+    const meeting = Array.from(detectedMeetings.values()).find(
+        (m) => m.recordingId === recordingId,
+    );
+    if (meeting) meeting.lastRegisteredMeetingUrl = meetingUrl;
+    if (meeting && meeting === currentMeetingInfo) checkpointRecordingSession();
+    if (attemptId && getRecordingLedger().get(attemptId)) {
+        getRecordingLedger().record(attemptId, { registeredMeetingUrl: meetingUrl });
+    }
+}
+
+function buildOutboxMenuItems() {
+    const pending = getOutbox().size;
+    if (!pending) return [];
+    return [
+        {
+            label: `Waiting to Sync (${pending})`,
+            submenu: [
+                {
+                    label: 'Retry Now',
+                    click: () => {
+                        getOutbox()
+                            .wake('tray')
+                            .catch((e) => logger.error('[tray] outbox retry failed:', e));
+                    },
+                },
+            ],
+        },
+    ];
+}
+
+// Work that waits for a signed-in user: finish recovering an interrupted session and
+// replay the outbox. Run after every way of signing in, and at startup when signed in.
+function resumeSignedInWork(reason) {
+    completePendingSessionRecovery().catch((e) => {
+        logger.error('[recovery] failed to recover interrupted session:', e);
+    });
+    getOutbox()
+        .wake(reason)
+        .catch((e) => logger.error(`[outbox] replay after ${reason} failed:`, e));
+}
+
+async function completePendingSessionRecovery() {
+    if (!pendingSessionRecovery) return;
+    if (sessionRecoveryInFlight) return await sessionRecoveryInFlight;
+
+    sessionRecoveryInFlight = (async () => {
+        const orphan = pendingSessionRecovery;
+        const registration = await registerOrphanedMeetingUrl(orphan);
+        if (!registration) {
+            logger.info('[recovery] not authenticated, finishing recovery after login');
+            return;
+        }
+        pendingSessionRecovery = null;
+
+        const meeting = orphan.meeting || {};
+        logger.warn('[recovery] recovered interrupted recording session', {
+            event: 'session-recovery',
+            state: orphan.state,
+            since: orphan.since,
+            attemptId: orphan.attemptId,
+            windowId: orphan.windowId,
+            platform: meeting.platform ?? null,
+            recordingId: meeting.recordingId ?? null,
+            sdkUploadId: meeting.sdkUploadId ?? null,
+            registration: registration.outcome,
+            error: registration.error ?? null,
+            recoveryDelayMs: Date.now() - orphan.detectedAt,
+        });
+
+        if (orphan.attemptId && getRecordingLedger().get(orphan.attemptId)) {
+            getRecordingLedger().record(orphan.attemptId, {
+                recovery: registration.outcome,
+                ...(registration.outcome === 'registered'
+                    ? { registeredMeetingUrl: meeting.meetingUrl }
+                    : {}),
+            });
+            refreshTrayMenu();
+        }
+
+        const linkSaved =
+            registration.outcome === 'registered' || registration.outcome === 'already-registered';
+        showRecordingSavedToast({
+            title: 'Recording interrupted',
+            subtitle: linkSaved
+                ? 'Gia quit mid-meeting · meeting link saved'
+                : registration.outcome === 'queued'
+                  ? 'Gia quit mid-meeting · meeting link will sync when online'
+                  : 'Gia quit before your last meeting ended',
+        });
+    })().finally(() => {
+        sessionRecoveryInFlight = null;
+    });
+
+    return await sessionRecoveryInFlight;
+}
+
+// User preferences from the settings window (see utils/preferences.js)
+let preferences = null;
+
+function getPreferences() {
+    if (!preferences) {
+        preferences = new Preferences({
+            filePath: path.join(app.getPath('userData'), 'preferences.json'),
+        });
+    }
+    return preferences;
+}
+
+// Per-user feature flags from the profile (see utils/feature-flags.js)
+let featureFlags = null;
+
+function getFeatureFlags() {
+    if (!featureFlags) {
+        featureFlags = new FeatureFlags({
+            filePath: path.join(app.getPath('userData'), 'feature-flags.json'),
+        });
+        featureFlags.on('change', onFeatureFlagsChange);
+    }
+    return featureFlags;
+}
+
+function isBotlessEnabled() {
+    return getFeatureFlags().isEnabled(FeatureFlag.BOTLESS_ENABLED);
+}
+
+// Flags can change on any profile refresh; apply them without a restart.
+function onFeatureFlagsChange(flags, changed) {
+    if (changed.includes(FeatureFlag.BOTLESS_ENABLED)) {
+        if (!flags[FeatureFlag.BOTLESS_ENABLED] && recordingSession.is(SessionState.PROMPTING)) {
+            // The open prompt can't be accepted anymore; a recording in progress keeps going.
+            logger.info('[flags] botless disabled, dismissing meeting popup');
+            closeMeetingPopup();
+            currentMeetingInfo = null;
+            recordingSession.reset('botless-disabled');
+        } else if (flags[FeatureFlag.BOTLESS_ENABLED] && detectedMeetings.size) {
+            logger.info('[flags] botless enabled, detected meetings offered in the tray', {
+                meetings: detectedMeetings.size,
+            });
+        }
+    }
+    refreshTrayMenu();
+}
+
+// Recording safeguards (see utils/recording-guard.js)
+let recordingGuardNotification = null;
+
+const GUARD_WARNING_TEXT = {
+    [GuardReason.MAX_DURATION]: 'This recording has been running for a long time.',
+    [GuardReason.IDLE]: 'Your computer has been idle for a while.',
+};
+
+function configureRecordingGuard(prefs = getPreferences().getAll()) {
+    recordingGuard.configure({
+        maxDurationMinutes: prefs.maxRecordingMinutes,
+        idleMinutes: prefs.idleStopMinutes,
+    });
+}
+
+function closeRecordingGuardNotification() {
+    recordingGuardNotification?.close();
+    recordingGuardNotification = null;
+}
+
+// Watch recordings (including paused ones); stop watching once the recording is over.
+function syncRecordingGuard() {
+    if (recordingSession.isRecording()) {
+        if (!recordingGuard.active) {
+            configureRecordingGuard();
+            recordingGuard.start();
+        }
+    } else if (recordingGuard.active) {
+        recordingGuard.stop();
+        closeRecordingGuardNotification();
+    }
+}
+
+function showRecordingGuardWarning({ reason, stopAt }) {
+    closeRecordingGuardNotification();
+    if (!Notification.isSupported()) {
+        logger.warn('[guard] notifications not supported, recording will stop without warning');
+        return;
+    }
+
+    const minutes = Math.max(1, Math.round((stopAt - Date.now()) / 60000));
+    // Notification buttons are macOS-only; elsewhere clicking the notification keeps recording.
+    const hasActions = process.platform === 'darwin';
+    const notification = new Notification({
+        title: 'Still recording?',
+        body: `${GUARD_WARNING_TEXT[reason] || ''} Gia will stop recording in ${minutes} min${
+            hasActions ? '.' : ' unless you click here.'
+        }`,
+        actions: hasActions
+            ? [
+                  { type: 'button', text: 'Keep recording' },
+                  { type: 'button', text: 'Stop' },
+              ]
+            : [],
+        timeoutType: 'never',
+    });
+
+    notification.on('action', (_evt, index) => {
+        if (index === 0) {
+            recordingGuard.keep();
+        } else {
+            autoStopRecording({ reason, byUser: true });
+        }
+    });
+    notification.on('click', () => recordingGuard.keep());
+    notification.show();
+    recordingGuardNotification = notification;
+}
+
+async function autoStopRecording({ reason, byUser = false, ...details }) {
+    closeRecordingGuardNotification();
+    recordingGuard.stop();
+    if (!recordingSession.isRecording()) return;
+
+    const windowId = currentMeetingInfo?.windowId ?? recordingSession.windowId;
+    logger.warn('[guard] stopping recording', {
+        event: 'recording-auto-stop',
+        reason,
+        confirmedByUser: byUser,
+        windowId,
+        recordingId: currentMeetingInfo?.recordingId ?? null,
+        ...details,
+    });
+
+    try {
+        suppressMeetingPopupForWindow(windowId, `guard:${reason}`);
+        // byUser keeps the meeting around so it can be recorded again from the tray.
+        await stopMeetingRecording({ reason: `guard:${reason}`, byUser: true });
+    } catch (e) {
+        logger.error('[guard] failed to stop recording:', e);
+        return;
+    }
+
+    if (!byUser && Notification.isSupported()) {
+        new Notification({
+            title: 'Recording stopped',
+            body:
+                reason === GuardReason.IDLE
+                    ? 'Gia stopped recording because your computer was idle.'
+                    : 'Gia stopped recording because it reached the maximum length.',
+        }).show();
+    }
+}
+
+recordingGuard.on('warning', showRecordingGuardWarning);
+recordingGuard.on('auto-stop', (details) => {
+    autoStopRecording(details).catch((e) => {
+        logger.error('[guard] auto-stop failed:', e);
+    });
+});
+
+// Auto-record rules (see utils/auto-record-rules.js)
+let autoRecordRules = null;
+
+function getAutoRecordRules() {
+    if (!autoRecordRules) {
+        autoRecordRules = new AutoRecordRules({
+            filePath: path.join(app.getPath('userData'), 'auto-record-rules.json'),
+        });
+    }
+    return autoRecordRules;
+}
+
+// Local calendar used to put a title and attendees on detected meetings
+// (see utils/calendar-ics.js). The source path comes from preferences.
+const icsCalendar = new IcsCalendar();
+
+// Looks the meeting up in the calendar and stores the result on it. Called on
+// detection and again whenever the meeting URL changes, since a URL match beats
+// a time match and a URL from meeting-detected can be stale.
+function matchMeetingToCalendar(meeting) {
+    if (!meeting) return false;
+    const calendarPath = getPreferences().get('calendarPath');
+    if (!calendarPath && !meeting.calendarEvent) return false;
+
+    let match = null;
+    if (calendarPath) {
+        try {
+            icsCalendar.setSource(calendarPath);
+            match = icsCalendar.findEventForMeeting({ meetingUrl: meeting.meetingUrl });
+        } catch (e) {
+            logger.warn('[calendar] failed to match meeting to calendar', { error: e?.message });
+        }
+    }
+
+    const prevUid = meeting.calendarEvent?.uid ?? null;
+    if (match) {
+        meeting.calendarEvent = match.event;
+        meeting.calendarMatch = match.matchedBy;
+    } else if (meeting.calendarMatch === 'url' || !calendarPath) {
+        meeting.calendarEvent = null;
+        meeting.calendarMatch = null;
+    }
+
+    const changed = (meeting.calendarEvent?.uid ?? null) !== prevUid;
+    if (changed && meeting.calendarEvent) {
+        logger.info('[calendar] matched meeting to calendar event', {
+            windowId: meeting.windowId,
+            title: meeting.calendarEvent.title,
+            matchedBy: meeting.calendarMatch,
+            attendees: meeting.calendarEvent.attendees.length,
+        });
+    }
+    return changed;
+}
+
+function getCalendarStatus() {
+    const calendarPath = getPreferences().get('calendarPath');
+    if (!calendarPath) return { path: null, events: 0 };
+    try {
+        fs.statSync(calendarPath);
+        icsCalendar.setSource(calendarPath);
+        return { path: calendarPath, events: icsCalendar.getEvents().length };
+    } catch (e) {
+        return { path: calendarPath, events: 0, error: e?.message || String(e) };
+    }
+}
+
 function setupAppLoggingIpc() {
     // Renderer/popup processes send logs here so everything routes through Logfire.
     ipcMain.on('app-log', (_event, payload) => {
@@ -876,11 +1803,12 @@ function refreshTrayMenu() {
     tray.setContextMenu(buildTrayMenu());
 
     // Show a logged-out indicator in the menu bar (unless the recording state takes priority)
-    if (process.platform === 'darwin' && !isRecording) {
+    if (process.platform === 'darwin' && !recordingSession.isCapturing()) {
         const loggedOut = !api.authToken;
-        tray.setTitle(loggedOut ? '⚠' : '');
-        tray.setToolTip(loggedOut ? `${app.getName()} - Logged out` : `${app.getName()} - Idle`);
+        const envBadge = ENVIRONMENT.isProduction ? '' : ENVIRONMENT.name.toUpperCase();
+        tray.setTitle([loggedOut ? '⚠' : '', envBadge].filter(Boolean).join(' '));
     }
+    updateTrayToolTip();
 }
 
 async function showUploadTokenErrorDialog(error) {
@@ -889,21 +1817,10 @@ async function showUploadTokenErrorDialog(error) {
             BrowserWindow.getFocusedWindow() ||
             (meetingPopupWindow && !meetingPopupWindow.isDestroyed() ? meetingPopupWindow : null);
 
-        const status =
-            typeof error?.status === 'number'
-                ? error.status
-                : (() => {
-                      const msg =
-                          error instanceof Error
-                              ? error.message
-                              : typeof error === 'string'
-                                ? error
-                                : '';
-                      const m = msg.match(/\((\d{3})\)/);
-                      return m ? Number(m[1]) : null;
-                  })();
-
-        const isForbidden = status === 403;
+        const apiError = error instanceof ApiError ? error : null;
+        const isForbidden = apiError?.status === 403;
+        // Already retried by the Api client; the backend or network is having trouble.
+        const isTransient = !!apiError?.retryable;
 
         const detail =
             error instanceof Error
@@ -917,7 +1834,9 @@ async function showUploadTokenErrorDialog(error) {
             title: 'Couldn’t start recording',
             message: isForbidden
                 ? 'Botless recordings are not enabled. Enable Botless Recordings in the platform to use this feature.'
-                : 'We couldn’t start the recording. Please try again. If the problem persists, please contact support.',
+                : isTransient
+                  ? 'Gia couldn’t reach its server. Please check your connection and try again in a moment.'
+                  : 'We couldn’t start the recording. Please try again. If the problem persists, please contact support.',
             detail,
             buttons: ['OK'],
             defaultId: 0,
@@ -932,19 +1851,24 @@ async function startMeetingRecordingWithAuth({ source = 'unknown' } = {}) {
     if (!currentMeetingInfo) {
         throw new Error('No meeting information available');
     }
-    if (isRecording) return;
+    // Rejected while a start is already in flight or the meeting is being recorded.
+    if (!recordingSession.transition(SessionState.STARTING, { reason: source, byUser: true })) {
+        return;
+    }
 
     logger.info(`[recall] start recording requested (source=${source})`);
-    userWantsToRecord = true;
     closeMeetingPopup();
-    refreshTrayMenu();
 
-    logger.info(`[recall] currentMeetingInfo: ${JSON.stringify(currentMeetingInfo)}`);
+    logger.info(
+        `[recall] currentMeetingInfo: ${JSON.stringify({
+            ...currentMeetingInfo,
+            uploadToken: redactUploadToken(currentMeetingInfo.uploadToken),
+        })}`,
+    );
 
     try {
         if (!areAllPermissionsGranted()) {
-            showJoinMeetingPopupForInsufficientPermissions(`preflight:${source}`);
-            showPermissionsPopupForMissingPermissions(`preflight:${source}`);
+            // The catch below shows the join/permissions popups once the session has failed.
             throw buildInsufficientPermissionsError(`preflight:${source}`);
         }
 
@@ -954,7 +1878,7 @@ async function startMeetingRecordingWithAuth({ source = 'unknown' } = {}) {
         }
 
         await getUploadTokenAndStoreInfo();
-        logger.info(`[recall] uploadToken: ${currentMeetingInfo.uploadToken}`);
+        logger.info(`[recall] uploadToken: ${redactUploadToken(currentMeetingInfo.uploadToken)}`);
         // Attempt registration — will proceed only if URL is from meeting-updated (fresh).
         // If URL is only from meeting-detected (potentially stale), this is a no-op and
         // the fallback timer below will handle it.
@@ -977,51 +1901,39 @@ async function startMeetingRecordingWithAuth({ source = 'unknown' } = {}) {
         // Cancel fallback timer — recording never started, no URL to register.
         cancelMeetingUrlFallbackTimer();
         // Keep meeting info so the user can retry while meeting is still active.
-        userWantsToRecord = false;
-        recordingStarted = false;
+        recordingSession.transition(SessionState.FAILED, { reason: `start:${source}`, error });
         if (isInsufficientPermissionsError(error)) {
             showJoinMeetingPopupForInsufficientPermissions(`start-failed:${source}`);
             showPermissionsPopupForMissingPermissions(`start-failed:${source}`);
         }
-        refreshTrayMenu();
         throw error;
     }
 }
 
+// Tray status line for session states that aren't "nothing is happening".
+const SESSION_STATUS_LABELS = {
+    [SessionState.STARTING]: 'Starting recording...',
+    [SessionState.RECORDING]: 'Recording...',
+    [SessionState.PAUSED]: 'Paused',
+    [SessionState.STOPPING]: 'Stopping...',
+    [SessionState.UPLOADING]: 'Uploading...',
+};
+
 function buildTrayMenu() {
-    const statusLabel = !isRecording
-        ? cachedUserFirstName
-            ? `Hi ${cachedUserFirstName}`
-            : 'Idle'
-        : isPaused
-          ? 'Paused'
-          : 'Recording...';
-    // Treat "Start Recording" as another way to accept the popup:
-    // if a meeting is active and we're not already recording, allow manual start.
-    const canManualStart =
-        !!currentMeetingInfo && !isRecording && !userWantsToRecord && !!cachedUserId;
+    const isRecording = recordingSession.isRecording();
+    const isPaused = recordingSession.isPaused();
+    const statusLabel =
+        SESSION_STATUS_LABELS[recordingSession.state] ??
+        (cachedUserFirstName ? `Hi ${cachedUserFirstName}` : 'Idle');
     const template = [
+        ...(ENVIRONMENT.isProduction
+            ? []
+            : [{ label: `Environment: ${ENVIRONMENT.label}`, enabled: false }]),
         {
             label: statusLabel,
             enabled: false,
         },
-        ...(canManualStart
-            ? [
-                  {
-                      label: 'Start Recording',
-                      enabled: true,
-                      click: async () => {
-                          try {
-                              await startMeetingRecordingWithAuth({
-                                  source: 'tray',
-                              });
-                          } catch (e) {
-                              logger.error('[tray] failed to start recording:', e);
-                          }
-                      },
-                  },
-              ]
-            : []),
+        ...buildDetectedMeetingsMenuItems(),
         ...(isRecording
             ? [
                   {
@@ -1044,13 +1956,10 @@ function buildTrayMenu() {
                           try {
                               const windowId = currentMeetingInfo?.windowId;
                               suppressMeetingPopupForWindow(windowId, 'tray-stop');
-                              await stopMeetingRecording();
+                              await stopMeetingRecording({ reason: 'tray-stop', byUser: true });
                           } catch (e) {
                               logger.error('[tray] failed to stop recording:', e);
                           } finally {
-                              userWantsToRecord = false;
-                              recordingStarted = false;
-                              userStoppedRecording = true;
                               closeMeetingPopup();
                           }
                       },
@@ -1058,6 +1967,13 @@ function buildTrayMenu() {
               ]
             : []),
         { type: 'separator' },
+        ...buildFailedUploadMenuItems(),
+        ...buildOutboxMenuItems(),
+        {
+            label: 'Recent Recordings',
+            submenu: buildRecentRecordingsSubmenu(),
+        },
+        { type: 'separator' },
         ...(DEBUG
             ? [
                   {
@@ -1084,12 +2000,21 @@ function buildTrayMenu() {
                   { type: 'separator' },
               ]
             : []),
+        {
+            label: 'Settings…',
+            click: () => {
+                showSettingsWindow();
+            },
+        },
+        ...(api.authToken || knownAccounts.length
+            ? [{ label: 'Accounts', submenu: buildAccountsSubmenu() }]
+            : []),
         ...(api.authToken
             ? [
                   {
                       label: 'Show Calls',
                       click: () => {
-                          shell.openExternal('https://platform.myagiea.com/calls');
+                          shell.openExternal(PLATFORM_CALLS_URL);
                       },
                   },
                   {
@@ -1122,6 +2047,98 @@ function buildTrayMenu() {
     return Menu.buildFromTemplate(template);
 }
 
+function buildAccountsSubmenu() {
+    // Switching mid-recording is refused anyway; don't offer it.
+    const enabled = !recordingSession.isInFlight();
+    return [
+        ...knownAccounts.map((account) => ({
+            label: account.email || account.name || 'Unknown account',
+            type: 'radio',
+            checked: account.active && !!api.authToken,
+            enabled,
+            click: async () => {
+                if (account.active && api.authToken) return;
+                try {
+                    await switchToAccount(account.sub);
+                } catch (e) {
+                    logger.error('[tray] account switch failed:', e);
+                }
+            },
+        })),
+        { type: 'separator' },
+        {
+            label: 'Add Account…',
+            enabled,
+            click: async () => {
+                try {
+                    await addAccount();
+                } catch (e) {
+                    logger.error('[tray] add account failed:', e);
+                }
+            },
+        },
+    ];
+}
+
+// "Record this" is another way to accept the popup, for any detected meeting window.
+function canRecordDetectedMeeting(meeting) {
+    if (!cachedUserId || !isBotlessEnabled()) return false;
+    if (meeting === currentMeetingInfo) {
+        return recordingSession.canTransition(SessionState.STARTING);
+    }
+    return !recordingSession.isInFlight();
+}
+
+async function recordDetectedMeeting(windowId) {
+    const meeting = detectedMeetings.get(windowId);
+    if (!meeting) {
+        logger.info('[tray] record this: meeting no longer detected', { windowId });
+        return;
+    }
+
+    if (meeting !== currentMeetingInfo) {
+        // Move the session over to this window; refused while another one is in flight.
+        if (!recordingSession.detect(windowId, { reason: 'tray-select' })) return;
+        cancelMeetingUrlFallbackTimer();
+        closeMeetingPopup();
+        currentMeetingInfo = meeting;
+    }
+    clearMeetingPopupSuppression(windowId);
+    await startMeetingRecordingWithAuth({ source: 'tray' });
+}
+
+function buildDetectedMeetingsMenuItems() {
+    if (!detectedMeetings.size) return [];
+    // Signed-in users without botless recording have nothing to do with detected meetings.
+    if (cachedUserId && !isBotlessEnabled() && !recordingSession.isCapturing()) return [];
+
+    const items = Array.from(detectedMeetings.values()).map((meeting) => {
+        const isCurrent = meeting === currentMeetingInfo;
+        const suffix = isCurrent && recordingSession.isRecording() ? ' (recording)' : '';
+        const name = meeting.calendarEvent?.title
+            ? `${meeting.calendarEvent.title} (${formatPlatformName(meeting.platform)})`
+            : `${formatPlatformName(meeting.platform)} meeting`;
+        return {
+            label: `${name}${suffix}`,
+            submenu: [
+                {
+                    label: 'Record this',
+                    enabled: canRecordDetectedMeeting(meeting),
+                    click: async () => {
+                        try {
+                            await recordDetectedMeeting(meeting.windowId);
+                        } catch (e) {
+                            logger.error('[tray] failed to start recording:', e);
+                        }
+                    },
+                },
+            ],
+        };
+    });
+
+    return [{ type: 'separator' }, { label: 'Meetings', enabled: false }, ...items];
+}
+
 function createTray() {
     if (tray) return tray;
     const iconPath = getTrayIconPath();
@@ -1136,7 +2153,7 @@ function createTray() {
         }
     }
     tray = new Tray(image);
-    tray.setToolTip(app.getName());
+    updateTrayToolTip();
     // Icon-only in the menu bar when idle; a small dot appears when recording (set in setRecordingState).
     if (process.platform === 'darwin' && image.isEmpty()) {
         // If we couldn't load the icon, show something so it's discoverable.
@@ -1151,10 +2168,46 @@ function createTray() {
     return tray;
 }
 
-function setCaptureState({ recording, paused }) {
-    isRecording = !!recording;
-    isPaused = !!paused;
-    if (!isRecording) isPaused = false;
+// Every window that renders session state listens on this one channel.
+const SESSION_STATE_CHANNEL = 'recording-session:state';
+
+function broadcastSessionState(snapshot = recordingSession.snapshot()) {
+    for (const win of [meetingPopupWindow, debugControlsWindow]) {
+        if (win && !win.isDestroyed()) {
+            win.webContents.send(SESSION_STATE_CHANNEL, snapshot);
+        }
+    }
+}
+
+// The only writer of the tray tooltip: session, sign-in, environment and upload state.
+function updateTrayToolTip() {
+    if (!tray) return;
+    const status = recordingSession.isRecording()
+        ? recordingSession.isPaused()
+            ? 'Paused'
+            : 'Recording'
+        : api?.authToken
+          ? 'Idle'
+          : 'Logged out';
+    const parts = [status];
+    if (!ENVIRONMENT.isProduction) parts.push(ENVIRONMENT.label);
+
+    const uploading = uploadTracker.list({ status: UploadStatus.UPLOADING });
+    if (uploading.length === 1) {
+        parts.push(`Uploading ${uploading[0].progress}%`);
+    } else if (uploading.length > 1) {
+        parts.push(`Uploading ${uploading.length} recordings`);
+    }
+    if (uploadTracker.list({ status: UploadStatus.FAILED }).length) {
+        parts.push('Upload failed');
+    }
+
+    tray.setToolTip(`${app.getName()} — ${parts.join(' · ')}`);
+}
+
+function onRecordingSessionChange(snapshot) {
+    const isRecording = snapshot.recording;
+    const isPaused = snapshot.paused;
 
     if (tray && process.platform === 'darwin') {
         // Show a subtle indicator in the menu bar.
@@ -1164,8 +2217,6 @@ function setCaptureState({ recording, paused }) {
     }
 
     if (tray) {
-        const status = !isRecording ? 'Idle' : isPaused ? 'Paused' : 'Recording';
-        tray.setToolTip(`${app.getName()} — ${status}`);
         refreshTrayMenu();
     }
 
@@ -1173,20 +2224,29 @@ function setCaptureState({ recording, paused }) {
     if (DEBUG) {
         if (isRecording) {
             showDebugControlsWindow({ focus: false });
-            sendDebugControlsState();
-        } else {
+        } else if (!recordingSession.isCapturing()) {
             closeDebugControlsWindow();
         }
     }
+
+    syncRecordingGuard();
+    broadcastSessionState(snapshot);
 }
 
-async function pauseMeetingRecording() {
-    if (!isRecording) {
-        logger.info('[recall] not recording, nothing to pause');
-        return;
+// Ledger first so the tray menu rebuilt below already sees this transition.
+recordingSession.on('change', (snapshot, entry) => {
+    try {
+        recordSessionTransitionInLedger(snapshot, entry);
+    } catch (e) {
+        logger.warn('[ledger] failed to record session transition', { error: e?.message });
     }
-    if (isPaused) {
-        logger.info('[recall] already paused');
+    checkpointRecordingSession();
+});
+recordingSession.on('change', onRecordingSessionChange);
+
+async function pauseMeetingRecording() {
+    if (!recordingSession.is(SessionState.RECORDING)) {
+        logger.info('[recall] not recording (or already paused), nothing to pause');
         return;
     }
     if (!currentMeetingInfo?.windowId) {
@@ -1195,16 +2255,12 @@ async function pauseMeetingRecording() {
     const { windowId } = currentMeetingInfo;
     await RecallAiSdk.pauseRecording({ windowId });
     logger.info('[recall] recording paused for windowId:', windowId);
-    setCaptureState({ recording: true, paused: true });
+    recordingSession.transition(SessionState.PAUSED, { reason: 'pause' });
 }
 
 async function resumeMeetingRecording() {
-    if (!isRecording) {
-        logger.info('[recall] not recording, nothing to resume');
-        return;
-    }
-    if (!isPaused) {
-        logger.info('[recall] not paused');
+    if (!recordingSession.is(SessionState.PAUSED)) {
+        logger.info('[recall] not paused, nothing to resume');
         return;
     }
     if (!currentMeetingInfo?.windowId) {
@@ -1213,13 +2269,15 @@ async function resumeMeetingRecording() {
     const { windowId } = currentMeetingInfo;
     await RecallAiSdk.resumeRecording({ windowId });
     logger.info('[recall] recording resumed for windowId:', windowId);
-    setCaptureState({ recording: true, paused: false });
+    recordingSession.transition(SessionState.RECORDING, { reason: 'resume' });
 }
 
 async function ensureAccessToken({ interactive = false, loginOpts = {} } = {}) {
     logger.info(`[recall] ensureAccessToken: ${JSON.stringify(loginOpts)}`);
+    const signal = api.sessionSignal;
     // First try: stored/refreshable token (no UI)
     const stored = await getStoredAccessToken({ allowRefresh: true });
+    if (signal.aborted) return null;
     if (stored?.access_token) {
         api.setAuthToken(stored.access_token);
         await syncUserIdFromProfile();
@@ -1244,6 +2302,7 @@ async function ensureAccessToken({ interactive = false, loginOpts = {} } = {}) {
                 const silent = await getStoredAccessToken({
                     allowRefresh: true,
                 });
+                if (signal.aborted) return null;
                 if (silent?.access_token) {
                     logger.info('[auth] silent login succeeded');
                     api.setAuthToken(silent.access_token);
@@ -1253,10 +2312,12 @@ async function ensureAccessToken({ interactive = false, loginOpts = {} } = {}) {
                     return silent.access_token;
                 }
             } catch (e) {
+                if (isSessionCancelled(e)) throw e;
                 logger.info('[auth] silent login failed, falling back to interactive:', e.message);
             }
             await login(loginOpts);
             const after = await getStoredAccessToken({ allowRefresh: true });
+            if (signal.aborted) return null;
             api.setAuthToken(after?.access_token || null);
             await syncUserIdFromProfile();
             sendDesktopSdkDiagnosticsIfNeeded();
@@ -1381,29 +2442,20 @@ function getPreloadPath(filename) {
     return candidates[0];
 }
 
-function sendDebugControlsState() {
-    if (!debugControlsWindow || debugControlsWindow.isDestroyed()) return;
-    debugControlsWindow.webContents.send('debug-controls:state', {
-        recording: isRecording,
-        paused: isPaused,
-        windowId: currentMeetingInfo?.windowId ?? null,
-    });
-}
-
 function showDebugControlsWindow({ focus = false } = {}) {
     if (!DEBUG) return;
 
     if (debugControlsWindow && !debugControlsWindow.isDestroyed()) {
         debugControlsWindow.show();
         if (focus) debugControlsWindow.focus();
-        sendDebugControlsState();
+        broadcastSessionState();
         return;
     }
 
     const debugPath = getDebugControlsPath();
     debugControlsWindow = new BrowserWindow({
-        width: 340,
-        height: 220,
+        width: 420,
+        height: 460,
         resizable: false,
         minimizable: true,
         maximizable: false,
@@ -1431,26 +2483,92 @@ function showDebugControlsWindow({ focus = false } = {}) {
         if (focus) debugControlsWindow?.focus();
     });
 
-    debugControlsWindow.webContents.on('did-finish-load', () => {
-        sendDebugControlsState();
+    debugControlsWindow.webContents.on('did-finish-load', () => {
+        broadcastSessionState();
+    });
+
+    debugControlsWindow.webContents.on('will-navigate', (e) => {
+        e.preventDefault();
+    });
+
+    debugControlsWindow.on('closed', () => {
+        debugControlsWindow = null;
+    });
+}
+
+function closeDebugControlsWindow() {
+    if (debugControlsWindow && !debugControlsWindow.isDestroyed()) {
+        debugControlsWindow.destroy();
+        debugControlsWindow = null;
+    }
+}
+
+function getSettingsPath() {
+    if (app.isPackaged) {
+        const resourcePath = path.join(process.resourcesPath, 'settings.html');
+        if (fs.existsSync(resourcePath)) return resourcePath;
+    }
+
+    const candidates = [
+        path.join(process.cwd(), 'src', 'settings.html'),
+        path.join(app.getAppPath(), 'src', 'settings.html'),
+        path.resolve(__dirname, '..', '..', 'src', 'settings.html'),
+        path.resolve(__dirname, '..', 'settings.html'),
+    ];
+
+    for (const p of candidates) {
+        try {
+            if (fs.existsSync(p)) return p;
+        } catch {
+            // ignore and try next candidate
+        }
+    }
+
+    return candidates[0];
+}
+
+function showSettingsWindow() {
+    if (settingsWindow && !settingsWindow.isDestroyed()) {
+        bringWindowToFront(settingsWindow, 'settings');
+        return;
+    }
+
+    settingsWindow = new BrowserWindow({
+        width: 560,
+        height: 640,
+        minWidth: 480,
+        minHeight: 400,
+        resizable: true,
+        minimizable: true,
+        maximizable: false,
+        title: 'Gia Settings',
+        backgroundColor: '#ffffff',
+        icon: process.platform === 'win32' ? getWindowsAppIconPath() : undefined,
+        show: false,
+        webPreferences: {
+            nodeIntegration: false,
+            contextIsolation: true,
+            sandbox: true,
+            preload: getPreloadPath('settings-preload.js'),
+        },
+    });
+
+    settingsWindow.loadFile(getSettingsPath());
+    settingsWindow.center();
+
+    settingsWindow.once('ready-to-show', () => {
+        bringWindowToFront(settingsWindow, 'settings');
     });
 
-    debugControlsWindow.webContents.on('will-navigate', (e) => {
+    settingsWindow.webContents.on('will-navigate', (e) => {
         e.preventDefault();
     });
 
-    debugControlsWindow.on('closed', () => {
-        debugControlsWindow = null;
+    settingsWindow.on('closed', () => {
+        settingsWindow = null;
     });
 }
 
-function closeDebugControlsWindow() {
-    if (debugControlsWindow && !debugControlsWindow.isDestroyed()) {
-        debugControlsWindow.destroy();
-        debugControlsWindow = null;
-    }
-}
-
 function getOnboardingPopupPath() {
     // In production, the file is copied to Resources via extraResource
     if (app.isPackaged) {
@@ -1547,6 +2665,7 @@ function showOnboardingPopup({ view = 'login', message = null } = {}) {
 
     onboardingWindow.on('closed', () => {
         onboardingWindow = null;
+        deviceLoginController?.abort();
     });
 
     onboardingWindow.webContents.on('will-navigate', (e) => {
@@ -1577,6 +2696,40 @@ function ensureRecallRuntimeListenersRegistered() {
 
     logger.info('[recall] registering runtime listeners (post-onboarding)');
 
+    // meeting-detected often arrives without a URL, so URL-pattern rules couldn't match
+    // then. Once the first URL arrives for a meeting still waiting on the user (the
+    // rules said "ask"), evaluate them again. Returns true when a rule took over.
+    function applyAutoRecordRuleForUrl(meeting) {
+        if (!recordingSession.is(SessionState.DETECTED, SessionState.PROMPTING)) return false;
+        const autoRecord = getAutoRecordRules().evaluate({
+            platform: meeting.platform,
+            meetingUrl: meeting.meetingUrl,
+        });
+        if (!autoRecord.rule || autoRecord.action === AutoRecordAction.ASK) return false;
+        logger.info('[recall] auto-record rule matched once the meeting URL was known', {
+            ruleId: autoRecord.rule.id,
+            ruleName: autoRecord.rule.name,
+            action: autoRecord.action,
+            platform: meeting.platform ?? null,
+        });
+
+        if (autoRecord.action === AutoRecordAction.NEVER) {
+            suppressMeetingPopupForWindow(meeting.windowId, 'auto-record-rule');
+            closeMeetingPopup();
+            detectedMeetings.delete(meeting.windowId);
+            currentMeetingInfo = null;
+            recordingSession.reset('auto-record-rule');
+            refreshTrayMenu();
+            return true;
+        }
+        // ALWAYS: only once the popup is up, i.e. the user is signed in with botless on.
+        if (!recordingSession.is(SessionState.PROMPTING)) return false;
+        startMeetingRecordingWithAuth({ source: 'auto-record-rule' }).catch((e) => {
+            logger.error('[recall] auto-record start failed:', e);
+        });
+        return true;
+    }
+
     RecallAiSdk.addEventListener('meeting-detected', async (evt) => {
         const windowId = evt.window.id;
         const meetingPlatform = evt.window?.platform;
@@ -1591,58 +2744,91 @@ function ensureRecallRuntimeListenersRegistered() {
             return;
         }
 
-        if (meetingPlatform === 'slack') {
-            logger.info('[recall] slack meeting detected, skipping popup and recording');
-            return;
+        const autoRecord = getAutoRecordRules().evaluate({
+            platform: meetingPlatform,
+            meetingUrl: evt.window?.url ?? null,
+        });
+        if (autoRecord.rule) {
+            logger.info('[recall] auto-record rule matched', {
+                ruleId: autoRecord.rule.id,
+                ruleName: autoRecord.rule.name,
+                action: autoRecord.action,
+                platform: meetingPlatform ?? null,
+            });
         }
-
-        // Don't show popup if we're already recording
-        if (isRecording) {
-            logger.info('[recall] already recording, ignoring new meeting detection');
+        if (autoRecord.action === AutoRecordAction.NEVER) {
+            logger.info('[recall] meeting-detected skipped by auto-record rule (never record)');
             return;
         }
 
-        // Reset flags for new meeting
-        cancelMeetingUrlFallbackTimer();
-        userWantsToRecord = false;
-        recordingStarted = false;
-        userStoppedRecording = false;
-
-        try {
-            logger.info('[recall] meeting detected: initializing meeting state');
-            // Store meeting info. Important: do NOT call the API here.
-            // We only authenticate + fetch upload token after the user confirms.
-            // Seed with URL from meeting-detected when available so registration
-            // doesn't depend on a later meeting-updated event.
-            currentMeetingInfo = {
+        // Store meeting info. Important: do NOT call the API here.
+        // We only authenticate + fetch upload token after the user confirms.
+        // Seed with URL from meeting-detected when available so registration
+        // doesn't depend on a later meeting-updated event.
+        // A re-detection of the window being captured must not wipe its upload ids.
+        if (!(currentMeetingInfo?.windowId === windowId && recordingSession.isInFlight())) {
+            detectedMeetings.set(windowId, {
                 windowId: windowId,
+                platform: meetingPlatform ?? null,
                 meetingUrl: evt.window?.url ?? null,
                 meetingUrlSource: evt.window?.url ? 'detected' : null,
                 meetingUrlUpdatedAt: evt.window?.url ? Date.now() : null,
                 meetingDetectedAt: Date.now(),
+                calendarEvent: null,
+                calendarMatch: null,
                 uploadToken: null,
+                uploadTokenExpiresAt: null,
                 recordingId: null,
                 sdkUploadId: null,
                 lastRegisteredMeetingUrl: null,
                 lastRegisterAttemptUrl: null,
                 lastRegisterAttemptAt: 0,
-            };
+            });
+            matchMeetingToCalendar(detectedMeetings.get(windowId));
+        }
+
+        // Don't show popup if we're already recording (detect() refuses while in flight);
+        // the meeting is still listed in the tray.
+        if (!recordingSession.detect(windowId)) {
+            logger.info('[recall] already recording, tracking new meeting without prompting', {
+                windowId,
+                meetings: detectedMeetings.size,
+            });
+            refreshTrayMenu();
+            return;
+        }
+
+        cancelMeetingUrlFallbackTimer();
+
+        try {
+            logger.info('[recall] meeting detected: initializing meeting state');
+            currentMeetingInfo = detectedMeetings.get(windowId);
 
             // Only show popup if logged in and botless recording is enabled.
             const { authenticated } = await isAuthenticated();
             if (!authenticated) {
                 logger.info('[recall] meeting stored, waiting for login before showing popup');
-            } else if (!cachedBotlessEnabled) {
+            } else if (!isBotlessEnabled()) {
+                // Stays in detectedMeetings so the tray offers it if the flag is turned on.
                 logger.info('[recall] meeting ignored (botlessEnabled is false for this user)');
                 currentMeetingInfo = null;
+                recordingSession.reset('botless-disabled');
+            } else if (autoRecord.action === AutoRecordAction.ALWAYS) {
+                logger.info('[recall] starting recording (auto-record rule: always record)');
+                startMeetingRecordingWithAuth({ source: 'auto-record-rule' }).catch((e) => {
+                    logger.error('[recall] auto-record start failed:', e);
+                });
             } else {
                 logger.info('[recall] showing meeting popup...');
                 showMeetingPopup();
+                recordingSession.transition(SessionState.PROMPTING, { reason: 'meeting-detected' });
             }
             refreshTrayMenu();
         } catch (e) {
             logger.error('[recall] meeting detection failed:', e);
+            detectedMeetings.delete(windowId);
             currentMeetingInfo = null;
+            recordingSession.reset('detection-failed');
             refreshTrayMenu();
         }
     });
@@ -1705,14 +2891,23 @@ function ensureRecallRuntimeListenersRegistered() {
     RecallAiSdk.addEventListener('meeting-closed', (evt) => {
         logger.info('[recall] meeting-closed event:', evt.window);
         const windowId = evt.window?.id ?? null;
+        if (windowId && detectedMeetings.delete(windowId)) {
+            logger.info('[recall] stopped tracking closed meeting', {
+                windowId,
+                meetings: detectedMeetings.size,
+            });
+            refreshTrayMenu();
+        }
         if (currentMeetingInfo && (!windowId || currentMeetingInfo.windowId === windowId)) {
+            detectedMeetings.delete(currentMeetingInfo.windowId);
             logger.info('[recall] clearing meeting info after meeting closed');
             cancelMeetingUrlFallbackTimer();
             clearMeetingPopupSuppression(windowId);
             currentMeetingInfo = null;
-            userWantsToRecord = false;
-            recordingStarted = false;
-            userStoppedRecording = false;
+            // An in-flight session is finished by recording-ended / sdk idle instead.
+            if (!recordingSession.isInFlight()) {
+                recordingSession.reset('meeting-closed');
+            }
             closeMeetingPopup();
             refreshTrayMenu();
         }
@@ -1726,17 +2921,32 @@ function ensureRecallRuntimeListenersRegistered() {
 
         if (!meetingUrl) return;
 
-        // Only register URLs for the meeting we're currently tracking.
-        if (!currentMeetingInfo || !windowId || currentMeetingInfo.windowId !== windowId) {
-            logger.info('[recall] meeting-updated ignored (no current meeting or window mismatch)');
+        const meeting = windowId ? detectedMeetings.get(windowId) : null;
+        if (!meeting) {
+            logger.info('[recall] meeting-updated ignored (window not tracked)');
             return;
         }
 
+        const firstUrl = !meeting.meetingUrl;
         // Always keep the latest meeting URL, but only call the API after user confirms.
-        currentMeetingInfo.meetingUrl = meetingUrl;
-        currentMeetingInfo.meetingUrlSource = 'updated';
-        currentMeetingInfo.meetingUrlUpdatedAt = Date.now();
-        logger.info('[recall] stored meeting URL from meeting-updated (userConfirmed=%s)', userWantsToRecord);
+        meeting.meetingUrl = meetingUrl;
+        meeting.meetingUrlSource = 'updated';
+        meeting.meetingUrlUpdatedAt = Date.now();
+        if (matchMeetingToCalendar(meeting)) {
+            refreshTrayMenu();
+            if (meeting === currentMeetingInfo) sendMeetingPopupCalendarEvent();
+        }
+
+        // Only register URLs for the meeting the session is tracking.
+        if (meeting !== currentMeetingInfo) {
+            logger.info('[recall] stored meeting URL for background meeting', { windowId });
+            return;
+        }
+        logger.info(
+            '[recall] stored meeting URL from meeting-updated (userConfirmed=%s)',
+            recordingSession.wantsToRecord(),
+        );
+        checkpointRecordingSession();
 
         // Fresh URL arrived — cancel fallback timer since we have a reliable URL now
         if (meetingUrlFallbackTimer) {
@@ -1745,7 +2955,9 @@ function ensureRecallRuntimeListenersRegistered() {
             logger.info('[recall] cancelled URL registration fallback timer (fresh URL arrived)');
         }
 
-        if (!userWantsToRecord) {
+        if (firstUrl && applyAutoRecordRuleForUrl(meeting)) return;
+
+        if (!recordingSession.wantsToRecord()) {
             logger.info('[recall] deferring meeting URL registration until confirm');
             return;
         }
@@ -1758,77 +2970,148 @@ function ensureRecallRuntimeListenersRegistered() {
         switch (evt.sdk.state.code) {
             case 'recording':
                 logger.info('[recall] SDK is recording');
-                if (!isRecording || isPaused) {
-                    setCaptureState({ recording: true, paused: false });
+                if (recordingSession.is(SessionState.STARTING, SessionState.PAUSED)) {
+                    recordingSession.transition(SessionState.RECORDING, {
+                        reason: 'sdk-recording',
+                    });
                 }
                 break;
-            case 'idle':
+            case 'idle': {
                 logger.info('[recall] SDK is idle');
                 // If we initiated a pause, treat idle as paused to avoid resetting meeting state.
-                if (isPaused) {
-                    setCaptureState({ recording: true, paused: true });
+                if (recordingSession.isPaused()) {
+                    break;
+                }
+
+                const wasCapturing = recordingSession.is(
+                    SessionState.RECORDING,
+                    SessionState.STOPPING,
+                    SessionState.UPLOADING,
+                    SessionState.ENDED,
+                );
+                // Nothing of ours was recording: an idle SDK says nothing about the meeting.
+                if (!wasCapturing) {
                     break;
                 }
 
-                const wasRecording = isRecording;
-                setCaptureState({ recording: false, paused: false });
+                // Still RECORDING: the SDK stopped on its own (meeting ended). A stop by the
+                // user or the guard has already moved the session on.
+                const wasRecording = recordingSession.is(SessionState.RECORDING);
+                if (wasRecording) {
+                    recordingSession.transition(SessionState.UPLOADING, { reason: 'sdk-idle' });
+                }
                 // Close popup when recording ends
                 if (meetingPopupWindow && !meetingPopupWindow.isDestroyed()) {
                     logger.info('[recall] closing popup due to idle state');
-                    meetingPopupWindow.webContents.send('meeting-popup:recording-ended');
                     setTimeout(() => {
                         closeMeetingPopup();
                     }, 100);
                 }
-                // Only clear suppression if we were actually recording.
-                // If the user declined, keep suppression so the popup
+                // Only clear suppression if we were actually recording when the SDK went idle.
+                // If the user declined or stopped the recording, keep suppression so the popup
                 // doesn't re-appear when the SDK re-emits meeting-detected.
                 if (wasRecording) {
-                    clearMeetingPopupSuppression(currentMeetingInfo?.windowId);
+                    clearMeetingPopupSuppression(
+                        currentMeetingInfo?.windowId ?? recordingSession.windowId,
+                    );
                 }
                 cancelMeetingUrlFallbackTimer();
-                userWantsToRecord = false;
-                recordingStarted = false;
-                if (userStoppedRecording) {
-                    // User manually stopped — keep currentMeetingInfo for "Start Recording"
+                if (recordingSession.stoppedByUser) {
+                    // User manually stopped — keep currentMeetingInfo for "Record this"
                     logger.info('[recall] idle after user stop — keeping meeting info for restart');
-                    userStoppedRecording = false;
-                } else {
+                } else if (recordingSession.is(SessionState.ENDED)) {
                     // Meeting actually closed — clear everything
                     logger.info('[recall] idle — meeting closed, clearing meeting info');
+                    detectedMeetings.delete(currentMeetingInfo?.windowId);
+                    currentMeetingInfo = null;
+                    recordingSession.reset('sdk-idle');
+                } else {
+                    // recording-ended hasn't arrived yet; it finishes the session.
+                    logger.info('[recall] idle — recording ended, clearing meeting info');
+                    detectedMeetings.delete(currentMeetingInfo?.windowId);
                     currentMeetingInfo = null;
                 }
                 refreshTrayMenu();
                 break;
+            }
             default:
                 logger.info('[recall] SDK state:', evt.sdk.state.code);
         }
     });
 
+    RecallAiSdk.addEventListener('upload-progress', (evt) => {
+        const windowId = evt.window?.id ?? null;
+        if (!windowId || !uploadTracker.get(windowId)) {
+            logger.info('[recall] upload-progress for untracked window', {
+                windowId,
+                progress: evt.progress,
+            });
+            return;
+        }
+        uploadTracker.progress(windowId, evt.progress);
+    });
+
+    RecallAiSdk.addEventListener('error', (evt) => {
+        const windowId = evt.window?.id ?? null;
+        logger.error('[recall] sdk error event', {
+            windowId,
+            type: evt.type ?? null,
+            message: evt.message ?? null,
+        });
+        // Once the recording has ended, an error for its window can only be the upload.
+        if (windowId && uploadTracker.get(windowId)?.status === UploadStatus.UPLOADING) {
+            uploadTracker.fail(windowId, new Error(evt.message || 'Upload failed'));
+        }
+    });
+
     RecallAiSdk.addEventListener('recording-ended', async (evt) => {
         logger.info('[recall] recording-ended event received');
-        logger.info('[recall] Uploaded', evt.window);
-        setCaptureState({ recording: false, paused: false });
+        logger.info('[recall] recording ended, upload starting', evt.window);
+        const endedWindowId =
+            evt.window?.id || currentMeetingInfo?.windowId || recordingSession.windowId;
+        // The meeting has usually closed (and dropped currentMeetingInfo) by now; the
+        // ledger record for the attempt still has its ids.
+        const attemptId = recordingSession.attemptId;
+        const ledgerRecord = attemptId ? getRecordingLedger().get(attemptId) : null;
+        const liveIds = {
+            recordingId: currentMeetingInfo?.recordingId,
+            sdkUploadId: currentMeetingInfo?.sdkUploadId,
+        };
+        const uploadMeta = {
+            attemptId,
+            recordingId: pauseTimelineIds(ledgerRecord, liveIds).recordingId,
+            platform: currentMeetingInfo?.platform ?? ledgerRecord?.platform ?? null,
+        };
+        if (!recordingSession.transition(SessionState.ENDED, { reason: 'recording-ended' })) {
+            logger.info('[recall] recording-ended outside an active session', {
+                state: recordingSession.state,
+            });
+        }
         // Close popup when recording ends
         if (meetingPopupWindow && !meetingPopupWindow.isDestroyed()) {
             logger.info('[recall] closing popup due to recording-ended');
-            meetingPopupWindow.webContents.send('meeting-popup:recording-ended');
             setTimeout(() => {
                 closeMeetingPopup();
             }, 100);
         }
-        showRecordingSavedToast();
+        // The ledger has the final pause/resume times now that the session has ended.
+        submitPauseTimeline(attemptId, liveIds);
+        // "Saved" only once the upload completes; until then the toast shows progress.
+        const upload = uploadTracker.begin(endedWindowId, uploadMeta);
+        if (upload) {
+            toastUploadWindowId = endedWindowId;
+            showRecordingSavedToast(buildUploadToastContent(upload));
+        }
         // Clear suppression so user can restart recording from tray
-        const endedWindowId = evt.window?.id || currentMeetingInfo?.windowId;
         clearMeetingPopupSuppression(endedWindowId);
         // Cancel any pending fallback URL registration
         cancelMeetingUrlFallbackTimer();
-        // Reset recording flags but keep currentMeetingInfo
-        // so "Start Recording" remains available while meeting is still active.
+        // Keep currentMeetingInfo so "Record this" remains available while the
+        // meeting is still active; if it has already closed, the session is over.
         // Reset URL fields so a re-record doesn't reuse stale URL data.
-        userWantsToRecord = false;
-        recordingStarted = false;
-        if (currentMeetingInfo) {
+        if (!currentMeetingInfo) {
+            recordingSession.reset('recording-ended');
+        } else {
             currentMeetingInfo.meetingUrl = null;
             currentMeetingInfo.meetingUrlSource = null;
             currentMeetingInfo.meetingUrlUpdatedAt = null;
@@ -1846,10 +3129,10 @@ function ensureSdkInitialized() {
         const onboardingComplete = Boolean(isOnboardingComplete?.());
         const initOptions = onboardingComplete
             ? {
-                  apiUrl: 'https://us-east-1.recall.ai',
+                  apiUrl: ENVIRONMENT.recallApiUrl,
               }
             : {
-                  apiUrl: 'https://us-east-1.recall.ai', // Critical: prevent SDK from auto-requesting other permissions on init during onboarding
+                  apiUrl: ENVIRONMENT.recallApiUrl, // Critical: prevent SDK from auto-requesting other permissions on init during onboarding
                   // so one click => one permission prompt.
                   acquirePermissionsOnStartup: [],
               };
@@ -1934,6 +3217,7 @@ async function setupOnboardingIpc() {
             const accessToken = await ensureAccessToken({ interactive: true });
             if (accessToken) {
                 logger.info('[onboarding] login successful');
+                resumeSignedInWork('login');
                 return { success: true };
             } else {
                 logger.warn('[onboarding] login returned no token');
@@ -1941,10 +3225,57 @@ async function setupOnboardingIpc() {
             }
         } catch (e) {
             logger.error('[onboarding] login failed:', e);
+            if (e instanceof LoopbackPortUnavailableError) {
+                return {
+                    success: false,
+                    error: e.message,
+                    message: `Another app is using the ports Gia signs in with (${e.ports.join(', ')}). Close it and try again, or sign in with a code instead.`,
+                };
+            }
+            return { success: false, error: e.message };
+        }
+    });
+
+    // Alternative to the loopback login: the window shows a code to enter on any device.
+    ipcMain.handle('onboarding:login-device-code', async () => {
+        deviceLoginController?.abort();
+        const controller = new AbortController();
+        deviceLoginController = controller;
+        try {
+            logger.info('[onboarding] starting device code login...');
+            await loginWithDeviceCode({
+                signal: controller.signal,
+                onUserCode: (code) => {
+                    if (onboardingWindow && !onboardingWindow.isDestroyed()) {
+                        onboardingWindow.webContents.send('onboarding:device-code', code);
+                    }
+                },
+            });
+            const accessToken = await ensureAccessToken({ interactive: false });
+            if (accessToken) {
+                logger.info('[onboarding] device code login successful');
+                refreshTrayMenu();
+                resumeSignedInWork('login');
+                return { success: true };
+            }
+            logger.warn('[onboarding] device code login returned no token');
+            return { success: false, error: 'No token returned' };
+        } catch (e) {
+            if (isSessionCancelled(e)) {
+                logger.info('[onboarding] device code login cancelled');
+                return { success: false, cancelled: true };
+            }
+            logger.error('[onboarding] device code login failed:', e);
             return { success: false, error: e.message };
+        } finally {
+            if (deviceLoginController === controller) deviceLoginController = null;
         }
     });
 
+    ipcMain.handle('onboarding:cancel-device-code', () => {
+        deviceLoginController?.abort();
+    });
+
     ipcMain.handle('onboarding:request-permission', async (_event, permission) => {
         logger.info('[onboarding] requesting permission:', permission);
 
@@ -2080,7 +3411,7 @@ function showMeetingPopup() {
 
     meetingPopupWindow = new BrowserWindow({
         width: 340,
-        height: 220,
+        height: getMeetingPopupHeight(),
         resizable: false,
         minimizable: true,
         maximizable: false,
@@ -2118,6 +3449,8 @@ function showMeetingPopup() {
         } catch (e) {
             logger.error('[popup] failed to send logo:', e);
         }
+        sendMeetingPopupCalendarEvent();
+        sendMeetingPopupCountdown();
     });
 
     // Center the window
@@ -2141,6 +3474,33 @@ function showMeetingPopup() {
     });
 }
 
+// The calendar block adds two lines under the message.
+function getMeetingPopupHeight() {
+    return currentMeetingInfo?.calendarEvent ? 272 : 220;
+}
+
+function sendMeetingPopupCalendarEvent() {
+    if (!meetingPopupWindow || meetingPopupWindow.isDestroyed()) return;
+    const height = getMeetingPopupHeight();
+    if (meetingPopupWindow.getSize()[1] !== height) meetingPopupWindow.setSize(340, height);
+    meetingPopupWindow.webContents.send(
+        'meeting-popup:calendar-event',
+        currentMeetingInfo?.calendarEvent ?? null,
+    );
+}
+
+// Countdown only applies to a plain "record this meeting?" prompt. When the popup is
+// up because permissions are missing, auto-confirming would just fail and re-prompt.
+function sendMeetingPopupCountdown() {
+    if (!meetingPopupWindow || meetingPopupWindow.isDestroyed()) return;
+    const seconds = getPreferences().get('popupCountdownSeconds');
+    if (!seconds || recordingSession.wantsToRecord() || !areAllPermissionsGranted()) return;
+
+    const action = getPreferences().get('popupCountdownAction');
+    logger.info('[popup] starting countdown', { seconds, action });
+    meetingPopupWindow.webContents.send('meeting-popup:countdown', { seconds, action });
+}
+
 function closeMeetingPopup() {
     if (meetingPopupWindow && !meetingPopupWindow.isDestroyed()) {
         meetingPopupWindow.destroy();
@@ -2148,7 +3508,8 @@ function closeMeetingPopup() {
     }
 }
 
-function showRecordingSavedToast() {
+function showRecordingSavedToast(content = null) {
+    recordingSavedToastContent = content;
     if (recordingSavedToastWindow && !recordingSavedToastWindow.isDestroyed()) {
         recordingSavedToastWindow.destroy();
         recordingSavedToastWindow = null;
@@ -2204,6 +3565,12 @@ function showRecordingSavedToast() {
                 recordingSavedToastWindow.webContents.send('recording-saved-toast:logo', {
                     dataUrl,
                 });
+                if (recordingSavedToastContent) {
+                    recordingSavedToastWindow.webContents.send(
+                        'recording-saved-toast:content',
+                        recordingSavedToastContent,
+                    );
+                }
             }
         } catch (e) {
             logger.error('[toast] failed to send logo:', e);
@@ -2223,6 +3590,15 @@ function showRecordingSavedToast() {
     });
 }
 
+// Update the open toast in place (no-op once dismissed).
+function updateRecordingSavedToast(content) {
+    if (!recordingSavedToastWindow || recordingSavedToastWindow.isDestroyed()) return;
+    recordingSavedToastContent = content;
+    if (!recordingSavedToastWindow.webContents.isLoading()) {
+        recordingSavedToastWindow.webContents.send('recording-saved-toast:content', content);
+    }
+}
+
 function closeRecordingSavedToast() {
     if (recordingSavedToastWindow && !recordingSavedToastWindow.isDestroyed()) {
         recordingSavedToastWindow.destroy();
@@ -2235,6 +3611,14 @@ async function getUploadTokenAndStoreInfo() {
         throw new Error('No meeting information available');
     }
 
+    // A token that is about to expire can't be used to start a new recording.
+    const expiresAt = currentMeetingInfo.uploadTokenExpiresAt;
+    if (currentMeetingInfo.uploadToken && expiresAt && Date.now() > expiresAt - 60_000) {
+        logger.info('[recall] upload token expired, requesting a new one', { expiresAt });
+        currentMeetingInfo.uploadToken = null;
+        currentMeetingInfo.uploadTokenExpiresAt = null;
+    }
+
     // Get upload token if we don't have it yet
     if (!currentMeetingInfo.uploadToken) {
         logger.info('[recall] requesting upload token...');
@@ -2242,57 +3626,42 @@ async function getUploadTokenAndStoreInfo() {
         if (meetingUrl) {
             logger.info('[recall] sending meeting URL with upload token request:', meetingUrl);
         }
-        let uploadTokenData;
+        let uploadTokenInfo;
+        const signal = api.sessionSignal;
         try {
-            uploadTokenData = await api.getUploadToken(meetingUrl ? { meetingUrl } : {});
+            uploadTokenInfo = await api.getUploadToken(meetingUrl ? { meetingUrl } : {});
         } catch (error) {
-            logger.error('[recall] failed to get upload token:', error);
+            // Signed out meanwhile; nothing to tell the user.
+            if (signal.aborted || isSessionCancelled(error)) throw error;
+            const log = logger.withTraceparent(error?.traceparent);
+            log.error('[recall] failed to get upload token:', error);
             await showUploadTokenErrorDialog(error);
             throw error;
         }
-        logger.info('[recall] upload token data:', uploadTokenData);
-
-        // Check both possible response formats - token may be nested
-        let uploadToken;
-        if (uploadTokenData.uploadToken?.upload_token) {
-            // Nested format: { uploadToken: { upload_token: "..." } }
-            uploadToken = uploadTokenData.uploadToken.upload_token;
-        } else if (uploadTokenData.upload_token) {
-            // Direct format: { upload_token: "..." }
-            uploadToken = uploadTokenData.upload_token;
-        } else if (typeof uploadTokenData.uploadToken === 'string') {
-            // String format: { uploadToken: "..." }
-            uploadToken = uploadTokenData.uploadToken;
+        if (signal.aborted) {
+            throw new ApiError({ endpoint: 'getUploadToken', code: 'cancelled' });
         }
 
-        if (!uploadToken) {
-            const error = new Error(
-                `Upload token not found in response: ${JSON.stringify(uploadTokenData)}`,
-            );
-            await showUploadTokenErrorDialog(error);
-            throw error;
+        const { uploadToken, recordingId, sdkUploadId } = uploadTokenInfo;
+        logger.info('[recall] received upload token', {
+            uploadToken: redactUploadToken(uploadToken),
+            recordingId,
+            sdkUploadId,
+            expiresAt: uploadTokenInfo.expiresAt,
+            shape: uploadTokenInfo.shape,
+        });
+        if (uploadTokenInfo.missingOptional.length) {
+            // Recording still works, but the meeting URL can't be registered without these.
+            logger.warn('[recall] upload token response is missing fields', {
+                missing: uploadTokenInfo.missingOptional,
+            });
         }
 
-        logger.info('[recall] extracted upload token:', uploadToken);
         currentMeetingInfo.uploadToken = uploadToken;
-
-        const recordingId = uploadTokenData.uploadToken?.recording_id ?? null;
-        if (recordingId) {
-            logger.info('[recall] extracted recording id:', recordingId);
-        }
+        currentMeetingInfo.uploadTokenExpiresAt = uploadTokenInfo.expiresAt;
         currentMeetingInfo.recordingId = recordingId;
-
-        // Store sdk upload id (if provided by the API)
-        const sdkUploadId =
-            uploadTokenData.uploadToken?.sdk_upload_id ??
-            uploadTokenData.sdk_upload_id ??
-            uploadTokenData.uploadToken?.sdkUploadId ??
-            uploadTokenData.sdkUploadId ??
-            null;
-        if (sdkUploadId) {
-            logger.info('[recall] extracted sdk upload id:', sdkUploadId);
-        }
         currentMeetingInfo.sdkUploadId = sdkUploadId;
+        checkpointRecordingSession();
     }
 }
 
@@ -2402,7 +3771,12 @@ async function registerCurrentMeetingUrlIfNeeded() {
         logger.info('[recall] registering meeting URL... (source=%s)', currentMeetingInfo.meetingUrlSource);
         const accessToken = await ensureAccessToken({ interactive: false });
         if (!accessToken) {
-            logger.info('[recall] cannot register meeting URL (not authenticated)');
+            logger.info('[recall] cannot register meeting URL (not authenticated), queued');
+            queueMeetingUrlRegistration({
+                ...currentMeetingInfo,
+                meetingUrl,
+                attemptId: recordingSession.attemptId,
+            });
             return;
         }
 
@@ -2417,12 +3791,29 @@ async function registerCurrentMeetingUrlIfNeeded() {
             meetingUrl,
             recordingId,
             sdkUploadId,
+            calendarEvent: currentMeetingInfo.calendarEvent ?? null,
         });
 
         currentMeetingInfo.lastRegisteredMeetingUrl = meetingUrl;
         logger.info('[recall] registered meeting URL');
+        getOutbox().remove(OutboxKind.REGISTER_MEETING_URL, recordingId);
+        checkpointRecordingSession();
     } catch (e) {
-        logger.error('[recall] failed to register meeting URL:', e);
+        if (isSessionCancelled(e)) {
+            logger.info('[recall] meeting URL registration cancelled (signed out)');
+            return;
+        }
+        logger.withTraceparent(e?.traceparent).error('[recall] failed to register meeting URL:', e);
+        if (!isPermanentApiFailure(e)) {
+            queueMeetingUrlRegistration(
+                {
+                    ...currentMeetingInfo,
+                    meetingUrl,
+                    attemptId: recordingSession.attemptId,
+                },
+                e,
+            );
+        }
     }
 }
 
@@ -2431,7 +3822,8 @@ async function startMeetingRecording() {
         throw new Error('No meeting information available');
     }
 
-    if (recordingStarted) {
+    // Only the caller that moved the session into STARTING gets to call the SDK.
+    if (!recordingSession.is(SessionState.STARTING)) {
         logger.info('[recall] recording already started, skipping');
         return;
     }
@@ -2443,99 +3835,191 @@ async function startMeetingRecording() {
     }
 
     logger.info('[recall] starting recording with windowId:', windowId);
-    logger.info('[recall] starting recording with uploadToken:', uploadToken);
-
-    // Mark as started BEFORE the async call to prevent race conditions
-    recordingStarted = true;
+    logger.info('[recall] starting recording with uploadToken:', redactUploadToken(uploadToken));
 
-    try {
-        await RecallAiSdk.startRecording({
-            windowId: windowId,
-            uploadToken: uploadToken,
-        });
-
-        logger.info('[recall] recording started successfully');
-        setCaptureState({ recording: true, paused: false });
+    await RecallAiSdk.startRecording({
+        windowId: windowId,
+        uploadToken: uploadToken,
+    });
 
-        // Notify popup that recording started
-        if (meetingPopupWindow && !meetingPopupWindow.isDestroyed()) {
-            meetingPopupWindow.webContents.send('meeting-popup:recording-started');
-        }
-    } catch (error) {
-        // Reset flag on failure so it can be retried
-        recordingStarted = false;
-        throw error;
+    logger.info('[recall] recording started successfully');
+    // sdk-state-change may already have moved us to RECORDING.
+    if (recordingSession.is(SessionState.STARTING)) {
+        recordingSession.transition(SessionState.RECORDING, { reason: 'start-recording' });
     }
 }
 
-async function stopMeetingRecording() {
-    if (!isRecording) {
+async function stopMeetingRecording({ reason = 'stop', byUser = false } = {}) {
+    if (!recordingSession.isRecording()) {
         logger.info('[recall] not recording, nothing to stop');
         return;
     }
 
-    // Need windowId to stop recording - use currentMeetingInfo if available
-    if (!currentMeetingInfo || !currentMeetingInfo.windowId) {
+    // Need windowId to stop recording - the meeting may already be closed,
+    // in which case the session still knows which window it was recording.
+    const windowId = currentMeetingInfo?.windowId ?? recordingSession.windowId;
+    recordingSession.transition(SessionState.STOPPING, { reason, byUser });
+
+    if (!windowId) {
         logger.warn('[recall] cannot stop recording: no meeting info or windowId');
         // Recording might have already ended, just mark as not recording
-        setCaptureState({ recording: false, paused: false });
+        recordingSession.transition(SessionState.ENDED, { reason: 'stop-without-window' });
         return;
     }
 
-    const { windowId } = currentMeetingInfo;
-
     try {
         // Stop recording via SDK - try with windowId parameter
         await RecallAiSdk.stopRecording({ windowId });
         logger.info('[recall] recording stopped with windowId:', windowId);
-        setCaptureState({ recording: false, paused: false });
+        // recording-ended may already have finished the session.
+        if (recordingSession.is(SessionState.STOPPING)) {
+            recordingSession.transition(SessionState.UPLOADING, { reason });
+        }
     } catch (error) {
         // If stopRecording with windowId fails, the recording might already be stopped
         // Check error message to see if it's because recording doesn't exist
         if (error.message && error.message.includes('Cannot destructure')) {
             logger.warn('[recall] recording may have already ended, marking as stopped');
-            setCaptureState({ recording: false, paused: false });
+            recordingSession.transition(SessionState.ENDED, { reason: 'stop-already-ended' });
             return;
         }
 
         logger.error('[recall] error stopping recording:', error);
         // Even if stopping fails, mark as not recording
-        setCaptureState({ recording: false, paused: false });
+        recordingSession.transition(SessionState.FAILED, { reason: 'stop', error });
         throw error;
     }
 }
 
+// Abort in-flight Api work for the current user (profile fetch, upload token,
+// registration, diagnostics) and stop per-user timers. Everything started for that
+// user checks its session signal, so nothing writes user state afterwards.
+function resetUserSession(reason) {
+    api.cancelSession(reason);
+    stopProfileRefreshTimer();
+    cancelMeetingUrlFallbackTimer();
+    userProfileFetchInFlight = null;
+    desktopDiagnosticsInFlight = null;
+    desktopDiagnosticsToken = null;
+    desktopDiagnosticsLastPermissionsSig = null;
+}
+
+/** Sign out: reset the user session, then cancel auth work (login/refresh) and clear tokens. */
+async function endAuthSession(reason) {
+    logger.info('[auth] ending session', { reason });
+    resetUserSession(reason);
+    await logout();
+    await syncUserIdFromProfile();
+}
+
+async function showAccountSwitchBlockedDialog() {
+    try {
+        await dialog.showMessageBox({
+            type: 'info',
+            title: 'Recording in progress',
+            message: 'Stop the current recording before switching accounts.',
+            buttons: ['OK'],
+            defaultId: 0,
+            noLink: true,
+        });
+    } catch {
+        // ignore dialog failures (e.g. app shutting down)
+    }
+}
+
+/**
+ * Make another stored account the active one. Refused while a recording is in progress,
+ * since it was started (and is uploaded) for the current account.
+ */
+async function switchToAccount(sub) {
+    if (recordingSession.isInFlight()) {
+        logger.warn('[auth] account switch refused, recording in progress');
+        await showAccountSwitchBlockedDialog();
+        return false;
+    }
+
+    logger.info('[auth] switching account');
+    resetUserSession('switch-account');
+    logger.setUserId(null);
+    let tokens = null;
+    try {
+        tokens = await switchAccount(sub);
+    } catch (e) {
+        logger.error('[auth] failed to switch account:', e);
+    }
+    api.setAuthToken(tokens?.access_token || null);
+    await syncUserIdFromProfile({ forceRefresh: true });
+    refreshTrayMenu();
+
+    if (!api.authToken) {
+        // The account's refresh token is no longer usable: it needs a new sign-in.
+        showOnboardingPopup({ view: 'login' });
+        return false;
+    }
+    sendDesktopSdkDiagnosticsIfNeeded();
+    resumeSignedInWork('switch-account');
+    return true;
+}
+
+// Interactive sign-in for another account, which then becomes the active one.
+async function addAccount() {
+    if (loginInFlight) {
+        logger.info('[auth] add account ignored, a login is already in progress');
+        return;
+    }
+    if (recordingSession.isInFlight()) {
+        await showAccountSwitchBlockedDialog();
+        return;
+    }
+
+    let tokens;
+    try {
+        // Stored without activating: the switch below re-checks for a recording first.
+        tokens = await login({ prompt: 'login', activate: false });
+    } catch (e) {
+        if (!isSessionCancelled(e)) logger.error('[auth] add account failed:', e);
+        return;
+    }
+    if (!tokens?.account?.sub) {
+        logger.warn('[auth] added account has no ID token, cannot switch to it');
+        await refreshAccountList();
+        refreshTrayMenu();
+        return;
+    }
+    await switchToAccount(tokens.account.sub);
+}
+
 async function performLogout() {
     logger.info('[logout] user initiated logout from tray');
 
     // Stop any active recording first
-    if (isRecording) {
+    if (recordingSession.isRecording()) {
         logger.info('[logout] stopping active recording before logout');
         try {
             const windowId = currentMeetingInfo?.windowId;
             if (windowId) {
                 suppressMeetingPopupForWindow(windowId, 'logout');
             }
-            await stopMeetingRecording();
+            await stopMeetingRecording({ reason: 'logout', byUser: true });
         } catch (e) {
             logger.error('[logout] failed to stop recording:', e);
         }
     }
 
-    // Clear recording/meeting state
-    userWantsToRecord = false;
-    recordingStarted = false;
+    // Clear recording/meeting state. A stopped recording stays in flight until
+    // recording-ended has linked its upload to the ledger; that handler resets it.
     currentMeetingInfo = null;
+    if (!recordingSession.isInFlight()) {
+        recordingSession.reset('logout');
+    }
     suppressedMeetingWindowIds.clear();
 
     // Close any open popup windows
     closeMeetingPopup();
     closeOnboardingPopup();
 
-    // Clear auth tokens
-    await logout();
-    api.setAuthToken(null);
-    await syncUserIdFromProfile();
+    // Clear auth tokens and cancel everything still running for this user
+    await endAuthSession('logout');
 
     // Refresh tray to reflect logged-out state (hides Logout item)
     refreshTrayMenu();
@@ -2545,39 +4029,37 @@ async function performLogout() {
 }
 
 async function setupMeetingPopupIpc() {
-    ipcMain.handle('meeting-popup:confirm-recording', async () => {
+    ipcMain.handle('meeting-popup:confirm-recording', async (_evt, { source = 'popup' } = {}) => {
         if (!currentMeetingInfo) {
             throw new Error('No meeting information available');
         }
 
-        logger.info('[meeting-popup] user confirmed recording');
-        userWantsToRecord = true;
+        logger.info(`[meeting-popup] recording confirmed (source=${source})`);
 
         // Close the popup immediately after the user confirms.
         closeMeetingPopup();
 
         try {
-            await startMeetingRecordingWithAuth({ source: 'popup' });
+            await startMeetingRecordingWithAuth({ source });
         } catch (error) {
             logger.error('[meeting-popup] failed to start recording:', error);
-            // Reset state so we don't get stuck in a "confirmed" flow on failure.
-            userWantsToRecord = false;
-            recordingStarted = false;
+            // The session is already FAILED; drop the meeting unless the user
+            // can fix permissions and retry from the popup.
             if (!isInsufficientPermissionsError(error)) {
                 currentMeetingInfo = null;
+                recordingSession.reset('popup-start-failed');
             }
             refreshTrayMenu();
             throw error;
         }
     });
 
-    ipcMain.handle('meeting-popup:decline-recording', async () => {
-        logger.info('[meeting-popup] user declined recording');
+    ipcMain.handle('meeting-popup:decline-recording', async (_evt, { source = 'popup' } = {}) => {
+        logger.info(`[meeting-popup] recording declined (source=${source})`);
         const windowId = currentMeetingInfo?.windowId;
-        suppressMeetingPopupForWindow(windowId, 'popup-decline');
-        userWantsToRecord = false;
-        recordingStarted = false;
-        // Keep currentMeetingInfo so "Start Recording" remains in tray
+        suppressMeetingPopupForWindow(windowId, `${source}-decline`);
+        recordingSession.transition(SessionState.DETECTED, { reason: `${source}-decline` });
+        // Keep currentMeetingInfo so "Record this" remains in tray
         closeMeetingPopup();
         refreshTrayMenu();
     });
@@ -2592,8 +4074,13 @@ async function setupMeetingPopupIpc() {
         closeRecordingSavedToast();
     });
 
+    ipcMain.handle('recording-saved-toast:retry', async () => {
+        if (!toastUploadWindowId) return false;
+        return await retryRecordingUpload(toastUploadWindowId, 'toast');
+    });
+
     ipcMain.handle('meeting-popup:end-recording', async () => {
-        if (!isRecording) {
+        if (!recordingSession.isRecording()) {
             logger.info('[meeting-popup] not recording, nothing to end');
             return;
         }
@@ -2601,16 +4088,10 @@ async function setupMeetingPopupIpc() {
         const windowId = currentMeetingInfo?.windowId;
         suppressMeetingPopupForWindow(windowId, 'popup-end-recording');
         try {
-            await stopMeetingRecording();
-            userWantsToRecord = false;
-            recordingStarted = false;
-            userStoppedRecording = true;
-            closeMeetingPopup();
+            await stopMeetingRecording({ reason: 'popup-end-recording', byUser: true });
         } catch (error) {
             logger.error('[meeting-popup] failed to end recording:', error);
-            userWantsToRecord = false;
-            recordingStarted = false;
-            userStoppedRecording = true;
+        } finally {
             closeMeetingPopup();
         }
     });
@@ -2619,41 +4100,39 @@ async function setupMeetingPopupIpc() {
 async function setupDebugControlsIpc() {
     ipcMain.handle('debug-controls:get-state', async () => {
         return {
-            recording: isRecording,
-            paused: isPaused,
-            windowId: currentMeetingInfo?.windowId ?? null,
+            ...recordingSession.snapshot(),
+            history: recordingSession.getHistory(),
         };
     });
 
+    ipcMain.handle('debug-controls:get-api-metrics', () => api.metrics.summary());
+
     ipcMain.handle('debug-controls:toggle-pause', async () => {
-        if (!isRecording) return { ok: false, reason: 'not_recording' };
-        try {
-            if (isPaused) {
-                await resumeMeetingRecording();
-            } else {
-                await pauseMeetingRecording();
-            }
-            return { ok: true };
-        } finally {
-            sendDebugControlsState();
+        if (!recordingSession.isRecording()) return { ok: false, reason: 'not_recording' };
+        if (recordingSession.isPaused()) {
+            await resumeMeetingRecording();
+        } else {
+            await pauseMeetingRecording();
         }
+        return { ok: true };
     });
 
     ipcMain.handle('debug-controls:stop', async () => {
-        if (!isRecording) return { ok: false, reason: 'not_recording' };
+        if (!recordingSession.isRecording()) return { ok: false, reason: 'not_recording' };
 
         const windowId = currentMeetingInfo?.windowId;
         suppressMeetingPopupForWindow(windowId, 'debug-controls-stop');
         try {
-            await stopMeetingRecording();
+            await stopMeetingRecording({ reason: 'debug-controls-stop', byUser: true });
             return { ok: true };
         } finally {
-            // Clear meeting state after the stop attempt to avoid stuck UI/state.
-            userWantsToRecord = false;
-            recordingStarted = false;
+            // Clear meeting state after the stop attempt to avoid stuck UI/state;
+            // recording-ended finishes a session that is still waiting for its upload.
             currentMeetingInfo = null;
+            if (!recordingSession.isInFlight()) {
+                recordingSession.reset('debug-controls-stop');
+            }
             closeMeetingPopup();
-            setCaptureState({ recording: false, paused: false });
             closeDebugControlsWindow();
         }
     });
@@ -2669,6 +4148,75 @@ async function setupDebugControlsIpc() {
     });
 }
 
+async function setupSettingsIpc() {
+    ipcMain.handle('settings:get-auto-record-rules', () => getAutoRecordRules().getRules());
+
+    ipcMain.handle('settings:set-auto-record-rules', (_evt, rules) =>
+        getAutoRecordRules().setRules(rules),
+    );
+
+    ipcMain.handle('settings:get-preferences', () => getPreferences().getAll());
+
+    ipcMain.handle('settings:set-preferences', (_evt, patch) => getPreferences().set(patch));
+
+    ipcMain.handle('settings:get-calendar-status', () => getCalendarStatus());
+
+    ipcMain.handle('settings:get-environment', () => ({
+        active: { name: ENVIRONMENT.name, label: ENVIRONMENT.label, source: ENVIRONMENT.source },
+        selected: readEnvironmentSwitch(),
+        options: listEnvironments(),
+    }));
+
+    // Hidden switch: the environment is resolved once per process, so offer a restart.
+    ipcMain.handle('settings:set-environment', async (_evt, name) => {
+        const selected = writeEnvironmentSwitch(name);
+        logger.info('[settings] environment switch changed', {
+            selected,
+            active: ENVIRONMENT.name,
+        });
+        if (ENVIRONMENT.source === 'env' || (selected || Environment.PROD) === ENVIRONMENT.name) {
+            return { selected, restarting: false };
+        }
+
+        const parent = settingsWindow && !settingsWindow.isDestroyed() ? settingsWindow : null;
+        const { response } = await dialog.showMessageBox(parent ?? undefined, {
+            type: 'info',
+            title: 'Restart Gia',
+            message: 'Gia needs to restart to switch environments.',
+            buttons: ['Restart Now', 'Later'],
+            defaultId: 0,
+            cancelId: 1,
+            noLink: true,
+        });
+        if (response !== 0) return { selected, restarting: false };
+
+        setTimeout(() => {
+            app.relaunch();
+            app.exit(0);
+        }, 250);
+        return { selected, restarting: true };
+    });
+
+    ipcMain.handle('settings:choose-calendar-path', async (_evt, kind) => {
+        const parent = settingsWindow && !settingsWindow.isDestroyed() ? settingsWindow : null;
+        const result = await dialog.showOpenDialog(parent ?? undefined, {
+            title: 'Choose calendar',
+            properties: [kind === 'folder' ? 'openDirectory' : 'openFile'],
+            filters: kind === 'folder' ? [] : [{ name: 'Calendar', extensions: ['ics'] }],
+        });
+        if (result.canceled || !result.filePaths?.length) return { canceled: true };
+
+        const preferences = getPreferences().set({ calendarPath: result.filePaths[0] });
+        return { canceled: false, preferences, calendar: getCalendarStatus() };
+    });
+
+    getPreferences().on('change', (prefs, changed) => {
+        if (changed.includes('maxRecordingMinutes') || changed.includes('idleStopMinutes')) {
+            configureRecordingGuard(prefs);
+        }
+    });
+}
+
 async function setupAuthIpc() {
     ipcMain.handle('auth:isAuthenticated', async () => {
         const auth = await isAuthenticated();
@@ -2692,13 +4240,12 @@ async function setupAuthIpc() {
 
         const stored = await getStoredAccessToken({ allowRefresh: true });
         await syncUserIdFromProfile();
+        if (accessToken) resumeSignedInWork('login');
         return { accessToken, tokens: stored, ok: !!accessToken };
     });
 
     ipcMain.handle('auth:logout', async () => {
-        await logout();
-        api.setAuthToken(null);
-        await syncUserIdFromProfile();
+        await endAuthSession('logout');
         return { ok: true };
     });
 
@@ -2748,6 +4295,12 @@ async function bootstrap() {
     }
 
     logger.info('[app] starting Gia');
+    logger.info('[app] environment', {
+        environment: ENVIRONMENT.name,
+        source: ENVIRONMENT.source,
+        apiUrl: ENVIRONMENT.apiUrl,
+        recallApiUrl: ENVIRONMENT.recallApiUrl,
+    });
     logger.info(
         '[app] version:',
         app.getVersion(),
@@ -2778,6 +4331,31 @@ async function bootstrap() {
     app.setName('Gia');
     createTray();
 
+    // Before the SDK starts: a new session would overwrite the previous checkpoint.
+    detectOrphanedSession();
+
+    // Replay backend calls that were still queued when the app last quit.
+    getOutbox().start();
+    startTokenRefreshScheduler({
+        onRefreshed: (tokens) => {
+            // Swap the token in place; requests already in flight keep the old, still valid one.
+            api.setAuthToken(tokens.access_token);
+            logger.info('[auth] access token refreshed in background');
+        },
+        onFailed: ({ permanent }) => {
+            // The refresh token is gone; same recovery as a 401 (re-login prompt).
+            if (permanent) api.onAuthExpired?.();
+        },
+    }).catch((e) => logger.error('[auth] failed to start token refresh:', e));
+    powerMonitor.on('resume', () => {
+        getOutbox()
+            .wake('resume')
+            .catch((e) => logger.error('[outbox] replay after resume failed:', e));
+        rescheduleTokenRefresh('resume').catch((e) =>
+            logger.error('[auth] failed to reschedule token refresh:', e),
+        );
+    });
+
     // Check if onboarding is complete BEFORE initializing the SDK
     // The SDK init can trigger permission prompts, so we delay it during onboarding
     const onboardingAlreadyComplete = isOnboardingComplete();
@@ -2789,7 +4367,7 @@ async function bootstrap() {
         logger.info('[app] onboarding complete, initializing SDK');
         RecallAiSdk.init({
             // NOTE: Recall SDK expects `apiUrl` (camelCase)
-            apiUrl: 'https://us-east-1.recall.ai',
+            apiUrl: ENVIRONMENT.recallApiUrl,
         });
         sdkInitialized = true;
 
@@ -2812,6 +4390,7 @@ async function bootstrap() {
     await setupMeetingPopupIpc();
     await setupAuthIpc();
     await setupDebugControlsIpc();
+    await setupSettingsIpc();
     await setupOnboardingIpc();
 
     // Check onboarding state
@@ -2827,6 +4406,7 @@ async function bootstrap() {
         api.setAuthToken(auth.accessToken);
         await syncUserIdFromProfile();
         sendDesktopSdkDiagnosticsIfNeeded();
+        if (auth.accessToken) resumeSignedInWork('startup');
 
         // Check if all permissions are actually granted before showing ready
         if (!areAllPermissionsGranted()) {
@@ -2857,6 +4437,8 @@ async function bootstrap() {
             return;
         }
 
+        resumeSignedInWork('startup');
+
         // If any permission is missing, reopen permissions popup
         if (!areAllPermissionsGranted()) {
             logger.info(
@@ -4,13 +4,15 @@ contextBridge.exposeInMainWorld('electronAPI', {
     log: (level, ...args) =>
         ipcRenderer.send('app-log', { level, args, context: { source: 'meeting-popup' } }),
     minimize: () => ipcRenderer.invoke('meeting-popup:minimize'),
-    confirmRecording: () => ipcRenderer.invoke('meeting-popup:confirm-recording'),
-    declineRecording: () => ipcRenderer.invoke('meeting-popup:decline-recording'),
+    confirmRecording: (opts) => ipcRenderer.invoke('meeting-popup:confirm-recording', opts),
+    declineRecording: (opts) => ipcRenderer.invoke('meeting-popup:decline-recording', opts),
     endRecording: () => ipcRenderer.invoke('meeting-popup:end-recording'),
-    onRecordingStarted: (callback) =>
-        ipcRenderer.on('meeting-popup:recording-started', (_event) => callback()),
-    onRecordingEnded: (callback) =>
-        ipcRenderer.on('meeting-popup:recording-ended', (_event) => callback()),
+    onSessionState: (callback) =>
+        ipcRenderer.on('recording-session:state', (_event, payload) => callback(payload)),
     onLogo: (callback) =>
         ipcRenderer.on('meeting-popup:logo', (_event, payload) => callback(payload)),
+    onCountdown: (callback) =>
+        ipcRenderer.on('meeting-popup:countdown', (_event, payload) => callback(payload)),
+    onCalendarEvent: (callback) =>
+        ipcRenderer.on('meeting-popup:calendar-event', (_event, payload) => callback(payload)),
 });
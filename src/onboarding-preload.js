@@ -7,6 +7,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     minimize: () => ipcRenderer.invoke('onboarding:minimize'),
     resize: (size) => ipcRenderer.invoke('onboarding:resize', size),
     login: () => ipcRenderer.invoke('onboarding:login'),
+    loginWithDeviceCode: () => ipcRenderer.invoke('onboarding:login-device-code'),
+    cancelDeviceCode: () => ipcRenderer.invoke('onboarding:cancel-device-code'),
     requestPermission: (step) => ipcRenderer.invoke('onboarding:request-permission', step),
     checkPermission: (step) => ipcRenderer.invoke('onboarding:check-permission', step),
     openSettings: (permission) => ipcRenderer.invoke('onboarding:open-settings', permission),
@@ -15,6 +17,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     openExternal: (url) => shell.openExternal(url),
     onLogo: (callback) => ipcRenderer.on('onboarding:logo', (_event, payload) => callback(payload)),
     onInit: (callback) => ipcRenderer.on('onboarding:init', (_event, payload) => callback(payload)),
+    onDeviceCode: (callback) =>
+        ipcRenderer.on('onboarding:device-code', (_event, payload) => callback(payload)),
     onPermissionStatus: (callback) =>
         ipcRenderer.on('onboarding:permission-status', (_event, payload) => callback(payload)),
 });
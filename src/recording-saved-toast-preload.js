@@ -8,6 +8,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
             context: { source: 'recording-saved-toast' },
         }),
     dismiss: () => ipcRenderer.invoke('recording-saved-toast:dismiss'),
+    retry: () => ipcRenderer.invoke('recording-saved-toast:retry'),
     onLogo: (callback) =>
         ipcRenderer.on('recording-saved-toast:logo', (_event, payload) => callback(payload)),
+    onContent: (callback) =>
+        ipcRenderer.on('recording-saved-toast:content', (_event, payload) => callback(payload)),
 });
\ No newline at end of file
@@ -0,0 +1,272 @@
+/**
+ * Local stand-in for the Gia backend, for development and offline testing.
+ *
+ *   npm run start:server            # then run the app with GIA_ENV=local
+ *
+ * Serves the routes used by utils/api.js and the desktop logging endpoint used by
+ * utils/logger.js with canned responses. Upload tokens are fake, so recordings
+ * made against this server won't upload to Recall.
+ *
+ * Failure injection, per route name (upload-token, register-meeting-url,
+ * pause-timeline, profile, diagnostics, logger) or `*`:
+ *
+ *   POST   /__control/failures  { route, status?, delayMs?, retryAfter?, times? }
+ *   GET    /__control/failures
+ *   DELETE /__control/failures
+ *
+ * `status` answers with that code (401, 403, 5xx, 429 + Retry-After, ...), `delayMs`
+ * delays the response (alone it only slows the route down), `times` limits how many
+ * requests are affected (default: until cleared). Rules can also be given at startup:
+ * GIA_SERVER_FAILURES='upload-token:403,profile:503x2,*:delay=3000'.
+ *
+ * Inspection: GET /__inspect/requests?route=&limit= lists received requests (newest
+ * last, Authorization redacted); DELETE /__inspect/requests clears them.
+ *
+ * ID tokens: GET /.well-known/jwks.json serves a signing key generated at startup, and
+ * POST /__auth/id-token { sub, email, name, given_name, aud, nonce, expiresIn } returns
+ * an ID token signed with it (issuer http://<host>:<port>/). Point the app at it with
+ * AUTH0_ISSUER and AUTH0_JWKS_URL to test ID token verification without Auth0.
+ */
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = Number(process.env.GIA_LOCAL_SERVER_PORT || 4000);
+const HOST = process.env.GIA_LOCAL_SERVER_HOST || '127.0.0.1';
+const MAX_RECORDED_REQUESTS = 500;
+
+const ROUTES = {
+    'upload-token': { method: 'post', path: '/api/content/recall/upload-token/', auth: true },
+    'register-meeting-url': {
+        method: 'post',
+        path: '/api/content/recall/register-meeting-url/',
+        auth: true,
+    },
+    'pause-timeline': { method: 'post', path: '/api/content/recall/pause-timeline/', auth: true },
+    profile: { method: 'get', path: '/api/users/profile', auth: true },
+    diagnostics: { method: 'put', path: '/api/users/desktop-sdk-diagnostics', auth: true },
+    logger: { method: 'post', path: '/desktop-sdk-logger', auth: false },
+};
+
+const recordedRequests = [];
+let failureRules = [];
+
+const ISSUER = `http://${HOST}:${PORT}/`;
+const signingKey = {
+    kid: crypto.randomBytes(8).toString('hex'),
+    ...crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+};
+
+function randomHex(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+function normalizeRule(raw) {
+    const route = raw?.route === '*' || ROUTES[raw?.route] ? raw.route : null;
+    if (!route) throw new Error(`Unknown route "${raw?.route}"`);
+    const status = raw.status === undefined ? null : Number(raw.status);
+    if (status !== null && !(status >= 400 && status <= 599)) {
+        throw new Error(`Status must be 400-599, got "${raw.status}"`);
+    }
+    const delayMs = Math.max(0, Number(raw.delayMs) || 0);
+    if (status === null && !delayMs) throw new Error('A rule needs a status and/or delayMs');
+    return {
+        id: crypto.randomUUID(),
+        route,
+        status,
+        delayMs,
+        retryAfter: raw.retryAfter === undefined ? null : String(raw.retryAfter),
+        remaining: raw.times === undefined ? null : Math.max(1, Number(raw.times) || 1),
+    };
+}
+
+// "upload-token:403,profile:503x2,*:delay=3000"
+function parseFailureRules(spec) {
+    return String(spec || '')
+        .split(',')
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part) => {
+            const [route, action = ''] = part.split(':');
+            const [what, times] = action.split('x');
+            const rule = what.startsWith('delay=')
+                ? { route, delayMs: Number(what.slice('delay='.length)) }
+                : { route, status: Number(what) };
+            if (times) rule.times = Number(times);
+            return normalizeRule(rule);
+        });
+}
+
+function takeFailure(routeName) {
+    const rule = failureRules.find((r) => r.route === routeName || r.route === '*');
+    if (!rule) return null;
+    if (rule.remaining !== null) {
+        rule.remaining -= 1;
+        if (rule.remaining <= 0) failureRules = failureRules.filter((r) => r !== rule);
+    }
+    return rule;
+}
+
+function recordRequest(routeName, req) {
+    const headers = { ...req.headers };
+    if (headers.authorization) headers.authorization = 'Bearer [redacted]';
+    const entry = {
+        id: recordedRequests.length ? recordedRequests[recordedRequests.length - 1].id + 1 : 1,
+        at: new Date().toISOString(),
+        route: routeName,
+        method: req.method,
+        path: req.originalUrl,
+        headers,
+        body: req.body ?? null,
+        status: null,
+        durationMs: null,
+        injected: null,
+    };
+    recordedRequests.push(entry);
+    if (recordedRequests.length > MAX_RECORDED_REQUESTS) recordedRequests.shift();
+    return entry;
+}
+
+const handlers = {
+    'upload-token': () => ({
+        uploadToken: {
+            upload_token: `local-${randomHex(16)}`,
+            recording_id: crypto.randomUUID(),
+            sdk_upload_id: crypto.randomUUID(),
+            expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        },
+    }),
+    'register-meeting-url': (req) => ({
+        ok: true,
+        recordingId: req.body?.recordingId ?? null,
+        meetingUrl: req.body?.meetingUrl ?? null,
+    }),
+    'pause-timeline': (req) => ({
+        ok: true,
+        recordingId: req.body?.recordingId ?? null,
+        pauses: Array.isArray(req.body?.pauses) ? req.body.pauses.length : 0,
+    }),
+    profile: () => ({
+        _id: process.env.GIA_LOCAL_USER_ID || 'local-user',
+        firstName: process.env.GIA_LOCAL_USER_FIRST_NAME || 'Local',
+        email: 'local@example.com',
+        preferences: { botlessEnabled: process.env.GIA_LOCAL_BOTLESS !== 'false' },
+    }),
+    diagnostics: () => ({ ok: true }),
+    // The logger starts a trace with `{ trace: true }` and expects ids back.
+    logger: (req) => (req.body?.trace ? { trace_id: randomHex(16), span_id: randomHex(8) } : {}),
+};
+
+const app = express();
+app.use(express.json({ limit: '5mb' }));
+
+for (const [routeName, route] of Object.entries(ROUTES)) {
+    app[route.method](route.path, async (req, res) => {
+        const startedAt = Date.now();
+        const entry = recordRequest(routeName, req);
+        const finish = (status, body, headers = {}) => {
+            entry.status = status;
+            entry.durationMs = Date.now() - startedAt;
+            res.status(status).set(headers).json(body);
+        };
+
+        const failure = takeFailure(routeName);
+        if (failure) entry.injected = { status: failure.status, delayMs: failure.delayMs };
+        if (failure?.delayMs) {
+            await new Promise((resolve) => setTimeout(resolve, failure.delayMs));
+        }
+        if (failure?.status) {
+            const headers =
+                failure.status === 429 || failure.status === 503
+                    ? { 'Retry-After': failure.retryAfter ?? '1' }
+                    : {};
+            finish(failure.status, { error: `Injected ${failure.status}` }, headers);
+            return;
+        }
+
+        if (route.auth && !/^Bearer \S+/.test(req.headers.authorization || '')) {
+            finish(401, { error: 'Missing bearer token' });
+            return;
+        }
+        finish(200, handlers[routeName](req));
+    });
+}
+
+app.get('/__control/failures', (_req, res) => res.json(failureRules));
+
+app.post('/__control/failures', (req, res) => {
+    try {
+        const rule = normalizeRule(req.body || {});
+        failureRules.push(rule);
+        console.info('[server] failure rule added', rule);
+        res.status(201).json(rule);
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+app.delete('/__control/failures', (_req, res) => {
+    failureRules = [];
+    console.info('[server] failure rules cleared');
+    res.status(204).end();
+});
+
+app.get('/__inspect/requests', (req, res) => {
+    const route = typeof req.query.route === 'string' ? req.query.route : null;
+    const limit = Math.max(1, Number(req.query.limit) || MAX_RECORDED_REQUESTS);
+    const matching = route ? recordedRequests.filter((r) => r.route === route) : recordedRequests;
+    res.json(matching.slice(-limit));
+});
+
+app.delete('/__inspect/requests', (_req, res) => {
+    recordedRequests.length = 0;
+    res.status(204).end();
+});
+
+app.get('/.well-known/jwks.json', (_req, res) => {
+    res.json({
+        keys: [
+            {
+                ...signingKey.publicKey.export({ format: 'jwk' }),
+                kid: signingKey.kid,
+                alg: 'RS256',
+                use: 'sig',
+            },
+        ],
+    });
+});
+
+app.post('/__auth/id-token', (req, res) => {
+    const { expiresIn = 3600, ...overrides } = req.body || {};
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+        iss: ISSUER,
+        sub: process.env.GIA_LOCAL_AUTH_SUB || 'auth0|local-user',
+        aud: process.env.AUTH0_CLIENT_ID || 'local-client',
+        email: 'local@example.com',
+        name: 'Local User',
+        given_name: process.env.GIA_LOCAL_USER_FIRST_NAME || 'Local',
+        iat: now,
+        exp: now + Number(expiresIn),
+        ...overrides,
+    };
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT', kid: signingKey.kid })}.${encode(claims)}`;
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), signingKey.privateKey);
+    res.json({ id_token: `${unsigned}.${signature.toString('base64url')}`, claims });
+});
+
+app.use((req, res) => {
+    res.status(404).json({ error: `No stand-in route for ${req.method} ${req.path}` });
+});
+
+try {
+    failureRules = parseFailureRules(process.env.GIA_SERVER_FAILURES);
+} catch (e) {
+    console.error(`[server] invalid GIA_SERVER_FAILURES: ${e.message}`);
+    process.exit(1);
+}
+
+app.listen(PORT, HOST, () => {
+    console.info(`[server] Gia stand-in backend listening on http://${HOST}:${PORT}`);
+    if (failureRules.length) console.info('[server] failure rules', failureRules);
+});
@@ -0,0 +1,14 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('electronAPI', {
+    log: (level, ...args) =>
+        ipcRenderer.send('app-log', { level, args, context: { source: 'settings' } }),
+    getAutoRecordRules: () => ipcRenderer.invoke('settings:get-auto-record-rules'),
+    setAutoRecordRules: (rules) => ipcRenderer.invoke('settings:set-auto-record-rules', rules),
+    getPreferences: () => ipcRenderer.invoke('settings:get-preferences'),
+    setPreferences: (patch) => ipcRenderer.invoke('settings:set-preferences', patch),
+    chooseCalendarPath: (kind) => ipcRenderer.invoke('settings:choose-calendar-path', kind),
+    getCalendarStatus: () => ipcRenderer.invoke('settings:get-calendar-status'),
+    getEnvironment: () => ipcRenderer.invoke('settings:get-environment'),
+    setEnvironment: (name) => ipcRenderer.invoke('settings:set-environment', name),
+});
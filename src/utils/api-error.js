@@ -0,0 +1,84 @@
+/**
+ * Error type and retry policy for Api calls (see api.js). Kept free of Electron and
+ * env loading so the policy can be exercised on its own.
+ */
+
+// Human-readable names for the endpoints in api.js `apiRoutes`, used in error messages.
+const ENDPOINT_DESCRIPTIONS = {
+    getUploadToken: 'get upload token',
+    registerMeetingUrl: 'register meeting URL',
+    getUserProfile: 'get user profile',
+    updateDesktopSdkDiagnostics: 'update desktop sdk diagnostics',
+    submitPauseTimeline: 'submit pause timeline',
+};
+
+const MAX_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+// A longer Retry-After is left to the caller (error.retryAfterMs) instead of blocking here.
+const MAX_RETRY_AFTER_MS = 30000;
+// Connection failures where the request never reached the server, so even a
+// non-idempotent call is safe to repeat.
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH']);
+
+/**
+ * Failed Api call. `status` is null when no response arrived (`code` is then
+ * 'timeout', 'network', or 'cancelled' after cancelSession()); a call made without
+ * a token fails as a 401 with code 'no_token', without a request. `retryable` says
+ * whether trying again later can help. `traceparent` is the one sent with the last attempt.
+ */
+export class ApiError extends Error {
+    constructor({ endpoint, status = null, body = '', code = 'http', retryAfterMs = null, cause }) {
+        const description = ENDPOINT_DESCRIPTIONS[endpoint] || endpoint;
+        super(
+            status !== null
+                ? `Failed to ${description} (${status}): ${body}`
+                : `Failed to ${description} (${code}): ${cause?.message || ''}`,
+        );
+        this.name = 'ApiError';
+        this.endpoint = endpoint;
+        this.status = status;
+        this.body = body;
+        this.code = code;
+        this.retryAfterMs = retryAfterMs;
+        this.retryable =
+            (status === null && code !== 'cancelled') ||
+            status === 408 ||
+            status === 429 ||
+            status >= 500;
+        this.attempts = 1;
+        this.traceparent = null;
+        if (cause) this.cause = cause;
+    }
+}
+
+/** `Retry-After` header (seconds or an HTTP date) in ms, or null if absent/unparseable. */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const at = Date.parse(value);
+    return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/**
+ * How long to wait before retrying the failed `attempt` (1-based), or null to give up.
+ * Non-idempotent calls are only retried when the server cannot have acted on them
+ * (429, 503, connection never established).
+ */
+export function retryDelayMs(error, { attempt, idempotent, random = Math.random }) {
+    if (!error.retryable || attempt >= MAX_ATTEMPTS) return null;
+    if (!idempotent) {
+        const notSent =
+            error.status === 429 ||
+            error.status === 503 ||
+            NOT_SENT_CODES.has(error.cause?.cause?.code);
+        if (!notSent) return null;
+    }
+    if (error.retryAfterMs !== null) {
+        return error.retryAfterMs <= MAX_RETRY_AFTER_MS ? error.retryAfterMs : null;
+    }
+    // Exponential backoff with jitter over the upper half of the window.
+    const capMs = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+    return Math.round(capMs / 2 + random() * (capMs / 2));
+}
@@ -0,0 +1,91 @@
+/**
+ * In-memory request metrics per Api endpoint, one sample per HTTP attempt.
+ *
+ * Counters (success, failure by status, timeouts, network errors, retries) run
+ * since app start; latency percentiles cover the last SAMPLE_WINDOW attempts of
+ * each endpoint, so they follow the current network rather than the whole session.
+ */
+
+const SAMPLE_WINDOW = 200;
+
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+function emptyEndpoint() {
+    return {
+        count: 0,
+        success: 0,
+        failure: 0,
+        byStatus: {},
+        timeouts: 0,
+        networkErrors: 0,
+        retries: 0,
+        durations: [],
+        lastAt: null,
+        lastStatus: null,
+    };
+}
+
+class ApiMetrics {
+    constructor() {
+        this.since = Date.now();
+        this.endpoints = new Map();
+    }
+
+    /** `status` is null when no response arrived; `code` is then 'timeout' or 'network'. */
+    record(endpoint, { ok, status = null, code = null, durationMs, attempt = 1 }) {
+        let entry = this.endpoints.get(endpoint);
+        if (!entry) {
+            entry = emptyEndpoint();
+            this.endpoints.set(endpoint, entry);
+        }
+
+        entry.count += 1;
+        if (ok) entry.success += 1;
+        else entry.failure += 1;
+        if (status !== null && !ok) {
+            entry.byStatus[status] = (entry.byStatus[status] || 0) + 1;
+        }
+        if (code === 'timeout') entry.timeouts += 1;
+        if (code === 'network') entry.networkErrors += 1;
+        if (attempt > 1) entry.retries += 1;
+
+        entry.durations.push(Math.max(0, Math.round(durationMs)));
+        if (entry.durations.length > SAMPLE_WINDOW) entry.durations.shift();
+        entry.lastAt = Date.now();
+        entry.lastStatus = status ?? code;
+    }
+
+    summary() {
+        const endpoints = {};
+        for (const [endpoint, entry] of this.endpoints) {
+            const sorted = [...entry.durations].sort((a, b) => a - b);
+            endpoints[endpoint] = {
+                count: entry.count,
+                success: entry.success,
+                failure: entry.failure,
+                byStatus: { ...entry.byStatus },
+                timeouts: entry.timeouts,
+                networkErrors: entry.networkErrors,
+                retries: entry.retries,
+                samples: sorted.length,
+                p50Ms: percentile(sorted, 50),
+                p95Ms: percentile(sorted, 95),
+                maxMs: sorted.length ? sorted[sorted.length - 1] : null,
+                lastAt: entry.lastAt ? new Date(entry.lastAt).toISOString() : null,
+                lastStatus: entry.lastStatus,
+            };
+        }
+        return { since: new Date(this.since).toISOString(), endpoints };
+    }
+
+    reset() {
+        this.since = Date.now();
+        this.endpoints.clear();
+    }
+}
+
+export default ApiMetrics;
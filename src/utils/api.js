@@ -1,29 +1,67 @@
 import { loadEnv } from './load-env';
 import logger from './logger';
+import ApiMetrics from './api-metrics';
+import { getEnvironment } from './environments';
+import { parseUploadTokenResponse } from './upload-token-response';
+import { ApiError, parseRetryAfter, retryDelayMs } from './api-error';
+
+export { ApiError };
 
 // Ensure env is loaded even when cwd isn't repo root.
 loadEnv();
 
+// A new route also needs a description in api-error.js ENDPOINT_DESCRIPTIONS.
 const apiRoutes = {
     getUploadToken: '/api/content/recall/upload-token/',
     registerMeetingUrl: '/api/content/recall/register-meeting-url/',
     getUserProfile: '/api/users/profile',
     updateDesktopSdkDiagnostics: '/api/users/desktop-sdk-diagnostics',
+    submitPauseTimeline: '/api/content/recall/pause-timeline/',
 };
 
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Resolves early when `signal` aborts; the caller checks the signal afterwards.
+function sleep(ms, signal) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        }
+        signal?.addEventListener('abort', done, { once: true });
+    });
+}
+
 class Api {
     constructor() {
-        this.apiUrl = 'https://api.myagiea.com';
-        // this.apiUrl =
-        //     "https://r0ng0htend.execute-api.us-east-2.amazonaws.com/stage";
+        this.apiUrl = getEnvironment().apiUrl;
         this.authToken = null;
         this.onAuthExpired = null;
+        this.metrics = new ApiMetrics();
+        this.session = new AbortController();
     }
 
     setAuthToken(authToken) {
         this.authToken = authToken;
     }
 
+    /** Aborted by cancelSession(); capture it before awaiting to detect a logout meanwhile. */
+    get sessionSignal() {
+        return this.session.signal;
+    }
+
+    /**
+     * End the current session (logout): outstanding requests and pending retries
+     * reject with ApiError code 'cancelled', and the token is dropped.
+     */
+    cancelSession(reason = 'logout') {
+        this.session.abort(new Error(`Api session cancelled: ${reason}`));
+        this.session = new AbortController();
+        this.authToken = null;
+    }
+
     _handleUnauthorized(status) {
         if (status === 401 && this.onAuthExpired) {
             this.authToken = null;
@@ -31,129 +69,201 @@ class Api {
         }
     }
 
-    async _fetch(url, options, { timeoutMs = 60000 } = {}) {
+    async _fetch(url, options, { timeoutMs = DEFAULT_TIMEOUT_MS, signal = null } = {}) {
         const controller = new AbortController();
         const timer = setTimeout(() => controller.abort(), timeoutMs);
         try {
-            return await fetch(url, { ...options, signal: controller.signal });
+            return await fetch(url, {
+                ...options,
+                signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal,
+            });
         } finally {
             clearTimeout(timer);
         }
     }
 
-    async getUploadToken({ meetingUrl } = {}) {
+    /**
+     * Authenticated JSON request to one of `apiRoutes`, retried with exponential
+     * backoff on transient failures. Non-idempotent calls are only retried when the
+     * server cannot have acted on them (429, 503, connection never established).
+     * Resolves with the ok Response; rejects with ApiError.
+     */
+    async _request(endpoint, { method = 'GET', body, idempotent = method !== 'POST' } = {}) {
         if (!this.authToken) {
-            throw new Error('Missing auth token (call setAuthToken first)');
+            // Same as a 401 for callers: not retried now, but after the next login.
+            throw new ApiError({
+                endpoint,
+                status: 401,
+                code: 'no_token',
+                body: 'Missing auth token (call setAuthToken first)',
+            });
         }
+        const url = `${this.apiUrl}${apiRoutes[endpoint]}`;
+        const { signal } = this.session;
+
+        for (let attempt = 1; ; attempt += 1) {
+            if (signal.aborted) {
+                const cancelled = new ApiError({
+                    endpoint,
+                    code: 'cancelled',
+                    cause: signal.reason,
+                });
+                cancelled.attempts = attempt - 1;
+                throw cancelled;
+            }
+
+            // Each attempt is its own span in the current trace; the request/response
+            // logs carry the same traceparent so backend and desktop traces line up.
+            const { traceparent, parentSpanId } = logger.createChildSpan();
+            const log = logger.withTraceparent(traceparent);
+            const startedAt = Date.now();
+            log.debug('[api] request', { endpoint, method, attempt, parentSpanId, traceparent });
+
+            let error;
+            try {
+                const response = await this._fetch(
+                    url,
+                    {
+                        method,
+                        headers: {
+                            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                            Accept: 'application/json',
+                            Authorization: `Bearer ${this.authToken}`,
+                            traceparent,
+                        },
+                        body: body !== undefined ? JSON.stringify(body) : undefined,
+                    },
+                    { signal },
+                );
+                const responseContext = {
+                    endpoint,
+                    status: response.status,
+                    durationMs: Date.now() - startedAt,
+                    traceparent,
+                };
+                this.metrics.record(endpoint, {
+                    ok: response.ok,
+                    status: response.status,
+                    durationMs: responseContext.durationMs,
+                    attempt,
+                });
+                if (response.ok) {
+                    log.debug('[api] response', responseContext);
+                    return response;
+                }
+                log.warn('[api] response', responseContext);
+
+                if (!signal.aborted) this._handleUnauthorized(response.status);
+                error = new ApiError({
+                    endpoint,
+                    status: response.status,
+                    body: await response.text().catch(() => ''),
+                    retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+                });
+            } catch (e) {
+                let code = 'network';
+                if (signal.aborted) code = 'cancelled';
+                else if (e?.name === 'AbortError') code = 'timeout';
+                error = new ApiError({ endpoint, code, cause: e });
+                const durationMs = Date.now() - startedAt;
+                if (code === 'cancelled') {
+                    error.attempts = attempt;
+                    error.traceparent = traceparent;
+                    log.info('[api] request cancelled', { endpoint, durationMs, traceparent });
+                    throw error;
+                }
+                this.metrics.record(endpoint, { ok: false, code, durationMs, attempt });
+                log.warn('[api] no response', {
+                    endpoint,
+                    code: error.code,
+                    durationMs,
+                    error: e?.message,
+                    traceparent,
+                });
+            }
+            error.attempts = attempt;
+            error.traceparent = traceparent;
+
+            const delayMs = retryDelayMs(error, { attempt, idempotent });
+            if (delayMs === null || !this.authToken) throw error;
+            log.warn('[api] request failed, retrying', {
+                endpoint,
+                attempt,
+                delayMs,
+                status: error.status,
+                code: error.code,
+                traceparent,
+            });
+            await sleep(delayMs, signal);
+        }
+    }
+
+    /**
+     * Resolves with `{ uploadToken, recordingId, sdkUploadId, expiresAt, shape, missingOptional }`
+     * (see upload-token-response.js); a malformed body rejects with UploadTokenResponseError.
+     */
+    async getUploadToken({ meetingUrl } = {}) {
         const hasMeetingUrl = typeof meetingUrl === 'string' && meetingUrl.length > 0;
-        const response = await this._fetch(`${this.apiUrl}${apiRoutes.getUploadToken}`, {
+        const response = await this._request('getUploadToken', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                Accept: 'application/json',
-                Authorization: `Bearer ${this.authToken}`,
-            },
-            body: hasMeetingUrl ? JSON.stringify({ meetingUrl }) : undefined,
+            body: hasMeetingUrl ? { meetingUrl } : undefined,
         });
-        if (!response.ok) {
-            const body = await response.text().catch(() => '');
-            const err = new Error(`Failed to get upload token (${response.status}): ${body}`);
-            err.status = response.status;
-            err.body = body;
-            this._handleUnauthorized(response.status);
-            throw err;
-        }
-        // Return the full data object so we can check for both uploadToken and upload_token
-        return (await response.json()) || {};
+        const data = await response.json().catch(() => null);
+        return parseUploadTokenResponse(data);
     }
 
-    async registerMeetingUrl({ meetingUrl, recordingId, sdkUploadId }) {
+    /**
+     * `calendarEvent` is optional: { uid, title, start, end, organizer, attendees } from the
+     * user's local calendar (start/end in epoch ms, people as { name, email }).
+     */
+    async registerMeetingUrl({ meetingUrl, recordingId, sdkUploadId, calendarEvent = null }) {
         if (!meetingUrl || !recordingId || !sdkUploadId) {
             logger.info(
                 `[recall] registerMeetingUrl: Missing meeting URL, recording ID, or SDK upload ID: ${meetingUrl}, ${recordingId}, ${sdkUploadId}`,
             );
             return;
         }
-        if (!this.authToken) {
-            throw new Error('Missing auth token (call setAuthToken first)');
-        }
-        const response = await this._fetch(`${this.apiUrl}${apiRoutes.registerMeetingUrl}`, {
+        // Not known to be idempotent on the backend: only retried when it can't have acted.
+        const response = await this._request('registerMeetingUrl', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                Accept: 'application/json',
-                Authorization: `Bearer ${this.authToken}`,
+            body: {
+                meetingUrl,
+                recordingId,
+                sdkUploadId,
+                ...(calendarEvent ? { calendarEvent } : {}),
             },
-            body: JSON.stringify({ meetingUrl, recordingId, sdkUploadId }),
         });
-
-        if (!response.ok) {
-            const body = await response.text().catch(() => '');
-            this._handleUnauthorized(response.status);
-            throw new Error(`Failed to register meeting URL (${response.status}): ${body}`);
-        }
         return (await response.json()) || {};
     }
 
-    async getUserProfile() {
-        if (!this.authToken) {
-            throw new Error('Missing auth token (call setAuthToken first)');
+    /**
+     * Tell the backend which parts of a recording were intentionally paused.
+     * `pauses` items: { pausedAt, resumedAt, offsetMs, durationMs, mediaOffsetMs }.
+     */
+    async submitPauseTimeline({ recordingId, sdkUploadId, startedAt, endedAt, pauses }) {
+        if (!recordingId || !sdkUploadId) {
+            throw new Error('Missing recording ID or SDK upload ID for pause timeline');
         }
-
-        const response = await this._fetch(`${this.apiUrl}${apiRoutes.getUserProfile}`, {
-            method: 'GET',
-            headers: {
-                Accept: 'application/json',
-                Authorization: `Bearer ${this.authToken}`,
-            },
+        // Replaces the stored timeline for the recording, so repeating it is safe.
+        const response = await this._request('submitPauseTimeline', {
+            method: 'POST',
+            idempotent: true,
+            body: { recordingId, sdkUploadId, startedAt, endedAt, pauses },
         });
+        return (await response.json().catch(() => null)) || {};
+    }
 
-        if (!response.ok) {
-            const body = await response.text().catch(() => '');
-            const err = new Error(`Failed to get user profile (${response.status}): ${body}`);
-            err.status = response.status;
-            err.body = body;
-            this._handleUnauthorized(response.status);
-            throw err;
-        }
-
+    async getUserProfile() {
+        const response = await this._request('getUserProfile');
         return (await response.json()) || {};
     }
 
-    async updateDesktopSdkDiagnostics({ timestamp, platform, version, permissions }) {
-        if (!this.authToken) {
-            throw new Error('Missing auth token (call setAuthToken first)');
-        }
-
-        const response = await this._fetch(
-            `${this.apiUrl}${apiRoutes.updateDesktopSdkDiagnostics}`,
-            {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                    Accept: 'application/json',
-                    Authorization: `Bearer ${this.authToken}`,
-                },
-                body: JSON.stringify({
-                    timestamp,
-                    platform,
-                    version,
-                    permissions,
-                }),
-            },
-        );
-
-        if (!response.ok) {
-            const body = await response.text().catch(() => '');
-            const err = new Error(
-                `Failed to update desktop sdk diagnostics (${response.status}): ${body}`,
-            );
-            err.status = response.status;
-            err.body = body;
-            this._handleUnauthorized(response.status);
-            throw err;
-        }
-
+    /** `apiMetrics` is an ApiMetrics summary (see api-metrics.js). */
+    async updateDesktopSdkDiagnostics({ timestamp, platform, version, permissions, apiMetrics }) {
+        const response = await this._request('updateDesktopSdkDiagnostics', {
+            method: 'PUT',
+            body: { timestamp, platform, version, permissions, apiMetrics },
+        });
         return (await response.json().catch(() => null)) || {};
     }
 }
@@ -1,22 +1,30 @@
-import { app, shell } from 'electron';
+import { app, safeStorage, shell } from 'electron';
 import http from 'http';
 import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 import { loadEnv } from './load-env';
 import logger from './logger';
+import { Environment, getEnvironment } from './environments';
+import { verifyIdToken } from './id-token';
 
 /**
  * Auth0 OAuth (Authorization Code + PKCE) helper for Electron main-process.
  *
+ * Several accounts can be signed in at once. Token sets are stored per account (the ID
+ * token's `sub`); one account is active and is the one every getter here works with.
+ *
  * What you need to configure in Auth0:
  * - Allowed Callback URLs must include:
- *   - Interactive login: http://127.0.0.1:47823/callback
+ *   - Interactive login: http://127.0.0.1:47823/callback, and the same URL for each
+ *     fallback port (47824, 47825; see AUTH0_REDIRECT_FALLBACK_PORTS)
  *   - Silent login fallback: gia://auth/callback
+ * - For loginWithDeviceCode(): the Device Code grant enabled on the application.
  */
 
 // Ensure env is loaded before reading process.env into defaults.
 loadEnv();
+const REDIRECT_PORT = Number(process.env.AUTH0_REDIRECT_PORT || 47823);
 
 function ensureRequiredScopes(scopes) {
     const parts = String(scopes || '')
@@ -26,13 +34,19 @@ function ensureRequiredScopes(scopes) {
     return parts.join(' ');
 }
 
+// Tenant/client/audience come from the active environment profile (see environments.js).
 const DEFAULTS = {
-    domain: process.env.AUTH0_DOMAIN || 'auth.myagiea.com',
-    clientId: process.env.AUTH0_CLIENT_ID || '0E4ov2yLLLONevskQiqYzbRotpGdmX4q',
-    audience: process.env.AUTH0_AUDIENCE || 'https://api.heygia.com',
+    domain: getEnvironment().auth0.domain,
+    clientId: getEnvironment().auth0.clientId,
+    audience: getEnvironment().auth0.audience,
     scopes: ensureRequiredScopes(process.env.AUTH0_SCOPES || 'openid profile email'),
     redirectHost: process.env.AUTH0_REDIRECT_HOST || '127.0.0.1',
-    redirectPort: Number(process.env.AUTH0_REDIRECT_PORT || 47823),
+    redirectPort: REDIRECT_PORT,
+    // Tried in order for the loopback callback when a port is taken by another app.
+    redirectPorts: parseRedirectPorts(
+        REDIRECT_PORT,
+        process.env.AUTH0_REDIRECT_FALLBACK_PORTS ?? '47824,47825',
+    ),
     redirectPath: process.env.AUTH0_REDIRECT_PATH || '/callback',
 };
 
@@ -40,11 +54,55 @@ const DEEPLINK_SCHEME = process.env.GIA_DEEPLINK_SCHEME || 'gia';
 const AUTH_DEEPLINK_HOST = process.env.AUTH0_DEEPLINK_HOST || 'auth';
 const AUTH_DEEPLINK_PATH = process.env.AUTH0_DEEPLINK_PATH || '/callback';
 
+// Plaintext token file for tests; the default location is encrypted (see below).
 const STORAGE_FILE_ENV = process.env.GIA_AUTH_STORAGE_FILE;
+// ID tokens are verified against the tenant's issuer and JWKS; overridable to test
+// against a local stand-in (see server.js).
+const ISSUER_ENV = process.env.AUTH0_ISSUER;
+const JWKS_URL_ENV = process.env.AUTH0_JWKS_URL;
+const ENCRYPTED_STORAGE_FORMAT = 'safeStorage';
 let pendingDeepLinkAuth = null;
+let warnedEncryptionUnavailable = false;
+
+// Aborted by logout(): logins, callbacks and refreshes started before it end without
+// writing tokens. Replaced with a fresh controller for the next session.
+let authSession = new AbortController();
+// Token file writes and deletes run one at a time, so a write already under way when
+// logout() starts can't land after the file has been cleared.
+let storageQueue = Promise.resolve();
+
+export class AuthCancelledError extends Error {
+    constructor(message = 'Auth cancelled by logout') {
+        super(message);
+        this.name = 'AuthCancelledError';
+    }
+}
+
+/** Every loopback callback port is in use, so the browser login can't call back. */
+export class LoopbackPortUnavailableError extends Error {
+    constructor(ports) {
+        super(`No free port for the login callback (tried ${ports.join(', ')})`);
+        this.name = 'LoopbackPortUnavailableError';
+        this.ports = ports;
+    }
+}
+
+function throwIfCancelled(signal) {
+    if (signal?.aborted) throw new AuthCancelledError();
+}
+
+function enqueueStorageOp(op) {
+    const result = storageQueue.then(op, op);
+    storageQueue = result.catch(() => {});
+    return result;
+}
 
 function getStorageFile() {
-    return STORAGE_FILE_ENV || path.join(app.getPath('userData'), 'auth.tokens.json');
+    if (STORAGE_FILE_ENV) return STORAGE_FILE_ENV;
+    // Keep production tokens untouched when trying out another environment.
+    const { name } = getEnvironment();
+    const fileName = name === Environment.PROD ? 'auth.tokens.json' : `auth.tokens.${name}.json`;
+    return path.join(app.getPath('userData'), fileName);
 }
 
 function base64url(buf) {
@@ -64,8 +122,13 @@ function randomString(length = 64) {
     return out;
 }
 
-function buildRedirectUri(cfg = DEFAULTS) {
-    return `http://${cfg.redirectHost}:${cfg.redirectPort}${cfg.redirectPath}`;
+function parseRedirectPorts(primary, fallbacks) {
+    const ports = [primary, ...String(fallbacks).split(',')].map((p) => Number(String(p).trim()));
+    return [...new Set(ports.filter((p) => Number.isInteger(p) && p > 0 && p < 65536))];
+}
+
+function buildRedirectUri(cfg = DEFAULTS, port = cfg.redirectPort) {
+    return `http://${cfg.redirectHost}:${port}${cfg.redirectPath}`;
 }
 
 function buildDeepLinkRedirectUri() {
@@ -131,34 +194,221 @@ export function consumeAuthCallbackUrl(rawUrl) {
     }
 }
 
-async function readStoredTokens() {
+/*
+ * Token storage, one token set per signed-in account (keyed by the ID token's `sub`):
+ *
+ *   { version: 2, active: <sub>, accounts: { <sub>: { ...tokens, account: { sub, email, name } } } }
+ *
+ * The file holds that JSON encrypted with the OS keychain via Electron safeStorage, as
+ * `{ format: 'safeStorage', data: <base64> }`. Where encryption isn't available (or with
+ * GIA_AUTH_STORAGE_FILE) it is stored in plaintext. Files from older versions (a single
+ * token set, plaintext) are re-written in the current format on first read.
+ */
+const TOKEN_STORE_VERSION = 2;
+// Key for a token set without an ID token (can't tell which account it belongs to).
+const UNKNOWN_ACCOUNT = 'default';
+
+async function canEncryptTokens() {
+    if (STORAGE_FILE_ENV) return false;
+    // safeStorage can't be used before `ready` on Windows/Linux.
+    await app.whenReady();
+    if (safeStorage.isEncryptionAvailable()) return true;
+    if (!warnedEncryptionUnavailable) {
+        warnedEncryptionUnavailable = true;
+        logger.warn('[auth] OS encryption unavailable, storing tokens unencrypted (mode 0600)');
+    }
+    return false;
+}
+
+// Claims of a JWT without checking its signature; only used to key token sets stored
+// before ID tokens were verified.
+function decodeJwtClaims(token) {
     try {
-        const raw = await fs.readFile(getStorageFile(), 'utf8');
-        return JSON.parse(raw);
+        const payload = String(token || '').split('.')[1];
+        if (!payload) return null;
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return claims && typeof claims === 'object' ? claims : null;
     } catch {
         return null;
     }
 }
 
-async function writeStoredTokens(tokens) {
+function accountFromIdToken(idToken) {
+    const claims = decodeJwtClaims(idToken);
+    if (typeof claims?.sub !== 'string' || !claims.sub) return null;
+    return {
+        sub: claims.sub,
+        email: typeof claims.email === 'string' ? claims.email : null,
+        name: typeof claims.name === 'string' ? claims.name : null,
+    };
+}
+
+function accountFromClaims(claims) {
+    return {
+        sub: claims.sub,
+        email: typeof claims.email === 'string' ? claims.email : null,
+        name: typeof claims.name === 'string' ? claims.name : null,
+        givenName: typeof claims.given_name === 'string' ? claims.given_name : null,
+        verified: true,
+    };
+}
+
+function idTokenVerification(domain, clientId) {
+    return {
+        issuer: ISSUER_ENV || `https://${domain}/`,
+        audience: clientId,
+        jwksUri: JWKS_URL_ENV || `https://${domain}/.well-known/jwks.json`,
+    };
+}
+
+function accountKeyFor(tokens) {
+    return tokens?.account?.sub || accountFromIdToken(tokens?.id_token)?.sub || UNKNOWN_ACCOUNT;
+}
+
+function emptyTokenStore() {
+    return { version: TOKEN_STORE_VERSION, active: null, accounts: {} };
+}
+
+async function serializeTokenStore(store) {
+    const json = JSON.stringify(store, null, 2);
+    if (!(await canEncryptTokens())) return json;
+    return JSON.stringify({
+        format: ENCRYPTED_STORAGE_FORMAT,
+        data: safeStorage.encryptString(json).toString('base64'),
+    });
+}
+
+/**
+ * Read the token file. `needsRewrite` is set for files in an older format or stored in
+ * plaintext although encryption is available; `raw` is the file content as read.
+ */
+async function loadTokenStore() {
+    let raw;
+    try {
+        raw = await fs.readFile(getStorageFile(), 'utf8');
+    } catch {
+        return { store: emptyTokenStore(), raw: null, needsRewrite: false };
+    }
+
+    try {
+        let parsed = JSON.parse(raw);
+        const encrypted = parsed?.format === ENCRYPTED_STORAGE_FORMAT;
+        if (encrypted) {
+            await app.whenReady();
+            parsed = JSON.parse(safeStorage.decryptString(Buffer.from(parsed.data, 'base64')));
+        }
+
+        let store;
+        let legacy = false;
+        if (parsed?.version === TOKEN_STORE_VERSION && parsed.accounts) {
+            store = { ...emptyTokenStore(), ...parsed };
+        } else if (parsed?.access_token || parsed?.refresh_token) {
+            const key = accountKeyFor(parsed);
+            const account = parsed.account || accountFromIdToken(parsed.id_token);
+            store = {
+                ...emptyTokenStore(),
+                active: key,
+                accounts: { [key]: { ...parsed, account } },
+            };
+            legacy = true;
+        } else {
+            store = emptyTokenStore();
+        }
+        const needsRewrite = legacy || (!encrypted && (await canEncryptTokens()));
+        return { store, raw, needsRewrite };
+    } catch (e) {
+        // E.g. keychain access denied or reset: the user has to sign in again.
+        logger.warn('[auth] failed to read stored tokens', {
+            error: e?.message || String(e),
+        });
+        return { store: emptyTokenStore(), raw, needsRewrite: false };
+    }
+}
+
+async function readTokenStore() {
+    const { signal } = authSession;
+    const { store, raw, needsRewrite } = await loadTokenStore();
+    if (needsRewrite) await migrateTokenStore(raw, signal);
+    return store;
+}
+
+async function readStoredTokens() {
+    const store = await readTokenStore();
+    return (store.active && store.accounts[store.active]) || null;
+}
+
+// Re-write an old-format or plaintext token file, unless it changed (or was cleared) meanwhile.
+async function migrateTokenStore(raw, signal) {
+    try {
+        await enqueueStorageOp(async () => {
+            throwIfCancelled(signal);
+            const current = await fs.readFile(getStorageFile(), 'utf8').catch(() => null);
+            if (current !== raw) return;
+            const { store } = await loadTokenStore();
+            await replaceStorageFile(await serializeTokenStore(store));
+            logger.info('[auth] migrated stored tokens to the current storage format');
+        });
+    } catch (e) {
+        if (e instanceof AuthCancelledError) return;
+        logger.warn('[auth] failed to migrate existing token file', {
+            error: e?.message || String(e),
+        });
+    }
+}
+
+async function replaceStorageFile(contents) {
     const storageFile = getStorageFile();
     await fs.mkdir(path.dirname(storageFile), { recursive: true });
     const tmp = `${storageFile}.tmp`;
-    await fs.writeFile(tmp, JSON.stringify(tokens, null, 2), {
+    await fs.writeFile(tmp, contents, {
         encoding: 'utf8',
         mode: 0o600,
     });
     await fs.rename(tmp, storageFile);
 }
 
-async function clearStoredTokens() {
-    try {
-        await fs.unlink(getStorageFile());
-    } catch {
-        // ignore
+/** Read-modify-write of the token store; `mutate` changes the store in place. */
+function updateTokenStore(mutate, { signal = null } = {}) {
+    return enqueueStorageOp(async () => {
+        throwIfCancelled(signal);
+        const { store } = await loadTokenStore();
+        mutate(store);
+        if (!Object.keys(store.accounts).length) {
+            await fs.unlink(getStorageFile()).catch(() => {});
+        } else {
+            await replaceStorageFile(await serializeTokenStore(store));
+        }
+        return store;
+    });
+}
+
+/** Store the token set of its account; `activate` also makes that account the active one. */
+async function writeStoredTokens(tokens, { signal = null, activate = false } = {}) {
+    const key = accountKeyFor(tokens);
+    const store = await updateTokenStore(
+        (s) => {
+            s.accounts[key] = tokens;
+            if (activate || !s.active) s.active = key;
+        },
+        { signal },
+    );
+    // New access token for the active account (login or refresh): plan the next
+    // background refresh around it.
+    if (store.active === key && tokens?.access_token && tokens.refresh_token) {
+        scheduleTokenRefresh(tokens);
     }
 }
 
+/** Forget one account (default: the active one); no account is active afterwards if it was. */
+async function removeStoredAccount(key = null) {
+    return updateTokenStore((s) => {
+        const target = key || s.active;
+        if (!target) return;
+        delete s.accounts[target];
+        if (s.active === target) s.active = null;
+    });
+}
+
 function normalizeTokens(tokenResponse) {
     const now = Date.now();
     const expiresInSec =
@@ -176,8 +426,48 @@ function normalizeTokens(tokenResponse) {
     };
 }
 
-async function startLoopbackCallbackServer({ host, port, callbackPath, timeoutMs = 300000 }) {
-    return await new Promise((resolve, reject) => {
+// Bind `server` to the first of `ports` that is free on `host`; resolves with that port.
+async function listenOnFirstFreePort(server, host, ports) {
+    for (const port of ports) {
+        try {
+            await new Promise((resolve, reject) => {
+                const onError = (err) => {
+                    server.off('listening', onListening);
+                    reject(err);
+                };
+                const onListening = () => {
+                    server.off('error', onError);
+                    resolve();
+                };
+                server.once('error', onError);
+                server.once('listening', onListening);
+                server.listen(port, host);
+            });
+            return port;
+        } catch (e) {
+            if (e?.code !== 'EADDRINUSE' && e?.code !== 'EACCES') throw e;
+            logger.warn('[auth] login callback port unavailable', { port, code: e.code });
+        }
+    }
+    throw new LoopbackPortUnavailableError(ports);
+}
+
+/**
+ * Start the loopback server for the browser redirect on the first free port. Resolves
+ * once it listens, with that `port` and `callback`, which resolves with the redirect's
+ * query (or rejects on timeout/abort). Rejects with LoopbackPortUnavailableError when
+ * no port is free.
+ */
+async function startLoopbackCallbackServer({
+    host,
+    ports,
+    callbackPath,
+    timeoutMs = 300000,
+    signal = null,
+}) {
+    let port = null;
+    let listening;
+    const callback = new Promise((resolve, reject) => {
         const server = http.createServer((req, res) => {
             try {
                 const url = new URL(req.url || '', `http://${host}:${port}`);
@@ -451,15 +741,46 @@ async function startLoopbackCallbackServer({ host, port, callbackPath, timeoutMs
             reject(new Error('Login callback timed out'));
         }, timeoutMs);
 
+        const onAbort = () => {
+            clearTimeout(timeout);
+            try {
+                server.close();
+            } catch {}
+            reject(new AuthCancelledError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        server.on('close', () => signal?.removeEventListener('abort', onAbort));
+
         server.on('error', (err) => {
+            // Bind errors are handled (and other ports tried) by listenOnFirstFreePort.
+            if (port === null) return;
             clearTimeout(timeout);
             reject(err);
         });
-        server.listen(port, host);
+        listening = listenOnFirstFreePort(server, host, ports).then(
+            (bound) => {
+                port = bound;
+            },
+            (err) => {
+                clearTimeout(timeout);
+                signal?.removeEventListener('abort', onAbort);
+                throw err;
+            },
+        );
     });
+
+    await listening;
+    return { port, callback };
 }
 
-async function exchangeCodeForTokens({ domain, clientId, redirectUri, codeVerifier, code }) {
+async function exchangeCodeForTokens({
+    domain,
+    clientId,
+    redirectUri,
+    codeVerifier,
+    code,
+    signal,
+}) {
     const tokenRes = await fetch(`https://${domain}/oauth/token`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -470,7 +791,7 @@ async function exchangeCodeForTokens({ domain, clientId, redirectUri, codeVerifi
             code,
             redirect_uri: redirectUri,
         }),
-        signal: AbortSignal.timeout(30000),
+        signal: AbortSignal.any([AbortSignal.timeout(30000), signal]),
     });
 
     const bodyText = await tokenRes.text();
@@ -478,7 +799,7 @@ async function exchangeCodeForTokens({ domain, clientId, redirectUri, codeVerifi
     return JSON.parse(bodyText);
 }
 
-async function refreshAccessToken({ domain, clientId, refreshToken }) {
+async function refreshAccessToken({ domain, clientId, refreshToken, signal }) {
     const tokenRes = await fetch(`https://${domain}/oauth/token`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
@@ -487,7 +808,7 @@ async function refreshAccessToken({ domain, clientId, refreshToken }) {
             client_id: clientId,
             refresh_token: refreshToken,
         }),
-        signal: AbortSignal.timeout(30000),
+        signal: AbortSignal.any([AbortSignal.timeout(30000), signal]),
     });
 
     const bodyText = await tokenRes.text();
@@ -504,26 +825,61 @@ async function refreshAccessToken({ domain, clientId, refreshToken }) {
     return JSON.parse(bodyText);
 }
 
-export async function getStoredAccessToken({ allowRefresh = true } = {}) {
-    const stored = await readStoredTokens();
-    if (!stored) return null;
+function isInvalidGrant(e) {
+    return (
+        e?.oauthError === 'invalid_grant' ||
+        String(e?.message || '').includes('"error":"invalid_grant"')
+    );
+}
 
-    // Valid, non-expired access token — return immediately.
-    if (stored.access_token && stored.expires_at && Date.now() < stored.expires_at) {
-        return stored;
+// Shared by the lazy path and the background scheduler, so an account's refresh token
+// is never exchanged twice at once (Auth0 may rotate it and reject the second exchange).
+const refreshesInFlight = new Map();
+
+function refreshStoredTokens(stored, signal) {
+    const key = accountKeyFor(stored);
+    if (!refreshesInFlight.has(key)) {
+        const refresh = exchangeRefreshToken(stored, signal).finally(() => {
+            refreshesInFlight.delete(key);
+        });
+        refreshesInFlight.set(key, refresh);
     }
+    return refreshesInFlight.get(key);
+}
 
-    // No refresh path available — nothing we can do.
-    if (!allowRefresh || !stored.refresh_token) return null;
+// Account of a refreshed ID token, or null to keep the stored ID token and account.
+async function verifyRefreshedIdToken(stored, idToken, signal) {
+    if (!idToken) return null;
+    try {
+        const claims = await verifyIdToken(idToken, {
+            ...idTokenVerification(
+                stored.domain || DEFAULTS.domain,
+                stored.client_id || DEFAULTS.clientId,
+            ),
+            signal,
+        });
+        if (claims.sub !== accountKeyFor(stored)) {
+            throw new Error('ID token is for another account');
+        }
+        return accountFromClaims(claims);
+    } catch (e) {
+        if (signal.aborted) throw new AuthCancelledError();
+        logger.warn('[auth] ignoring unverifiable ID token from refresh', {
+            error: e?.message || String(e),
+        });
+        return null;
+    }
+}
 
-    // attempt refresh
+async function exchangeRefreshToken(stored, signal) {
     try {
-        logger.info('[auth] access token expired, attempting refresh');
         const refreshed = await refreshAccessToken({
             domain: stored.domain || DEFAULTS.domain,
             clientId: stored.client_id || DEFAULTS.clientId,
             refreshToken: stored.refresh_token,
+            signal,
         });
+        const refreshedAccount = await verifyRefreshedIdToken(stored, refreshed.id_token, signal);
 
         const next = {
             ...normalizeTokens(refreshed),
@@ -533,54 +889,240 @@ export async function getStoredAccessToken({ allowRefresh = true } = {}) {
             audience: stored.audience || DEFAULTS.audience,
             scopes: stored.scopes || DEFAULTS.scopes,
             redirect_uri: stored.redirect_uri || buildRedirectUri(DEFAULTS),
+            // same account, with fresh claims if a verified ID token came back
+            account: refreshedAccount || stored.account || accountFromIdToken(stored.id_token),
         };
 
         // Auth0 may omit refresh_token on refresh depending on settings
         if (!next.refresh_token) next.refresh_token = stored.refresh_token;
+        if (!refreshedAccount) next.id_token = stored.id_token;
 
-        await writeStoredTokens(next);
+        await writeStoredTokens(next, { signal });
         logger.info('[auth] refresh token exchange succeeded');
         return next;
     } catch (e) {
+        // Logged out meanwhile: leave the (cleared) storage alone.
+        if (signal.aborted) throw new AuthCancelledError();
         logger.warn('[auth] refresh token exchange failed', {
             error: e?.message || String(e),
         });
         // `invalid_grant` means the refresh token is no longer usable.
-        // Clear storage to force a clean interactive login instead of retry loops.
-        const msg = String(e?.message || '');
-        const isInvalidGrant =
-            e?.oauthError === 'invalid_grant' || msg.includes('"error":"invalid_grant"');
-        if (isInvalidGrant) {
-            await clearStoredTokens();
-        } else if (stored.refresh_token) {
+        // Forget the account to force a clean interactive login instead of retry loops.
+        if (isInvalidGrant(e)) await removeStoredAccount(accountKeyFor(stored));
+        throw e;
+    }
+}
+
+/** Resolves null when there is no usable token, including after a logout() meanwhile. */
+export async function getStoredAccessToken({ allowRefresh = true } = {}) {
+    const { signal } = authSession;
+    const stored = await readStoredTokens();
+    if (!stored || signal.aborted) return null;
+
+    // Valid, non-expired access token — return immediately.
+    if (stored.access_token && stored.expires_at && Date.now() < stored.expires_at) {
+        return stored;
+    }
+
+    // No refresh path available — nothing we can do.
+    if (!allowRefresh || !stored.refresh_token) return null;
+
+    // attempt refresh
+    try {
+        logger.info('[auth] access token expired, attempting refresh');
+        return await refreshStoredTokens(stored, signal);
+    } catch (e) {
+        if (signal.aborted) {
+            logger.info('[auth] token refresh cancelled by logout');
+            return null;
+        }
+        if (!isInvalidGrant(e)) {
             // Preserve the refresh_token so the next attempt can retry.
-            await writeStoredTokens({
-                ...stored,
-                access_token: null,
-                expires_at: 0,
-            });
-        } else {
-            await clearStoredTokens();
+            await writeStoredTokens(
+                {
+                    ...stored,
+                    access_token: null,
+                    expires_at: 0,
+                },
+                { signal },
+            );
         }
         throw e;
     }
 }
 
+/*
+ * Background refresh: renews the access token REFRESH_MARGIN_MS before it expires, so
+ * requests never go out with an expired token and a recording start doesn't wait on
+ * a refresh. Failures are retried with backoff while the current token still works;
+ * an unusable refresh token (`invalid_grant`) is reported as permanent.
+ */
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const REFRESH_RETRY_DELAYS_MS = [30 * 1000, 60 * 1000, 2 * 60 * 1000, 5 * 60 * 1000];
+// Timers don't advance while the machine sleeps; re-check at least this often.
+const MAX_REFRESH_TIMER_MS = 10 * 60 * 1000;
+
+const tokenRefresh = {
+    started: false,
+    timer: null,
+    failures: 0,
+    onRefreshed: null,
+    onFailed: null,
+};
+
+function refreshDueAt(tokens) {
+    const expiresAt = Number(tokens.expires_at) || 0;
+    // Short-lived tokens are refreshed halfway through their lifetime instead.
+    const lifetimeMs = (Number(tokens.expires_in) || 0) * 1000;
+    const marginMs = lifetimeMs ? Math.min(REFRESH_MARGIN_MS, lifetimeMs / 2) : REFRESH_MARGIN_MS;
+    return expiresAt - marginMs;
+}
+
+function clearTokenRefreshTimer() {
+    if (tokenRefresh.timer) {
+        clearTimeout(tokenRefresh.timer);
+        tokenRefresh.timer = null;
+    }
+}
+
+function scheduleTokenRefreshAt(at) {
+    clearTokenRefreshTimer();
+    if (!tokenRefresh.started) return;
+    const delayMs = Math.max(0, at - Date.now());
+    tokenRefresh.timer = setTimeout(
+        () => {
+            tokenRefresh.timer = null;
+            runScheduledTokenRefresh();
+        },
+        Math.min(delayMs, MAX_REFRESH_TIMER_MS),
+    );
+    tokenRefresh.timer.unref?.();
+}
+
+function scheduleTokenRefresh(tokens) {
+    tokenRefresh.failures = 0;
+    scheduleTokenRefreshAt(refreshDueAt(tokens));
+}
+
+async function runScheduledTokenRefresh() {
+    const { signal } = authSession;
+    const stored = await readStoredTokens();
+    if (!tokenRefresh.started || signal.aborted || !stored?.refresh_token) return;
+
+    const dueAt = refreshDueAt(stored);
+    if (Date.now() < dueAt) {
+        scheduleTokenRefreshAt(dueAt);
+        return;
+    }
+
+    try {
+        logger.info('[auth] refreshing access token before expiry', {
+            expiresAt: stored.expires_at,
+        });
+        // Success re-arms the timer via writeStoredTokens().
+        const next = await refreshStoredTokens(stored, signal);
+        // Switched to another account meanwhile: its token is still the one in use.
+        if (signal.aborted || accountKeyFor(await readStoredTokens()) !== accountKeyFor(next)) {
+            return;
+        }
+        try {
+            tokenRefresh.onRefreshed?.(next);
+        } catch (e) {
+            logger.warn('[auth] token refresh listener failed', e);
+        }
+    } catch (e) {
+        if (signal.aborted) return;
+        const permanent = isInvalidGrant(e);
+        if (!permanent) {
+            tokenRefresh.failures += 1;
+            const base =
+                REFRESH_RETRY_DELAYS_MS[
+                    Math.min(tokenRefresh.failures, REFRESH_RETRY_DELAYS_MS.length) - 1
+                ];
+            const delayMs = Math.round(base * (0.8 + Math.random() * 0.4));
+            logger.warn('[auth] background token refresh failed, will retry', {
+                failures: tokenRefresh.failures,
+                delayMs,
+                error: e?.message || String(e),
+            });
+            scheduleTokenRefreshAt(Date.now() + delayMs);
+        }
+        try {
+            tokenRefresh.onFailed?.({ error: e, permanent });
+        } catch (listenerError) {
+            logger.warn('[auth] token refresh listener failed', listenerError);
+        }
+    }
+}
+
+/**
+ * Keep the stored access token fresh in the background. `onRefreshed(tokens)` gets
+ * every token the scheduler obtains; `onFailed({ error, permanent })` every failed
+ * attempt (`permanent`: tokens were cleared, the user must sign in again).
+ */
+export function startTokenRefreshScheduler({ onRefreshed = null, onFailed = null } = {}) {
+    tokenRefresh.started = true;
+    tokenRefresh.onRefreshed = onRefreshed;
+    tokenRefresh.onFailed = onFailed;
+    return rescheduleTokenRefresh('start');
+}
+
+export function stopTokenRefreshScheduler() {
+    tokenRefresh.started = false;
+    clearTokenRefreshTimer();
+}
+
+/** Re-plan from the stored token, e.g. after resume (refreshes now if already due). */
+export async function rescheduleTokenRefresh(reason) {
+    if (!tokenRefresh.started) return;
+    const stored = await readStoredTokens();
+    if (!stored?.refresh_token) {
+        clearTokenRefreshTimer();
+        return;
+    }
+    logger.info('[auth] token refresh scheduled', { reason, dueAt: refreshDueAt(stored) });
+    tokenRefresh.failures = 0;
+    scheduleTokenRefreshAt(refreshDueAt(stored));
+}
+
 export async function login({
     domain = DEFAULTS.domain,
     clientId = DEFAULTS.clientId,
     audience = DEFAULTS.audience,
     scopes = DEFAULTS.scopes,
     prompt = 'login', // "none" for silent attempt
+    activate = true, // false: store the account without switching to it
 } = {}) {
     await app.whenReady();
+    const { signal } = authSession;
+    throwIfCancelled(signal);
     const requestedScopes = ensureRequiredScopes(scopes);
     const useDeepLinkCallback = prompt === 'none';
-    const redirectUri = useDeepLinkCallback
-        ? buildDeepLinkRedirectUri()
-        : buildRedirectUri(DEFAULTS);
+
+    // Use a browser-visible loopback page for interactive sign-in so the browser
+    // shows a completion page, while silent auth can return straight to the app.
+    // The loopback server listens first: the redirect URI names the port it got.
+    let redirectUri;
+    let callbackPromise;
+    if (useDeepLinkCallback) {
+        redirectUri = buildDeepLinkRedirectUri();
+        callbackPromise = waitForDeepLinkCallback({
+            timeoutMs: 15000,
+        });
+    } else {
+        const loopback = await startLoopbackCallbackServer({
+            host: DEFAULTS.redirectHost,
+            ports: DEFAULTS.redirectPorts,
+            callbackPath: DEFAULTS.redirectPath,
+            timeoutMs: 300000,
+            signal,
+        });
+        redirectUri = buildRedirectUri(DEFAULTS, loopback.port);
+        callbackPromise = loopback.callback;
+    }
 
     const state = crypto.randomUUID();
+    const nonce = randomString(32);
     const codeVerifier = randomString(64);
     const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
 
@@ -595,22 +1137,10 @@ export async function login({
             state,
             code_challenge: codeChallenge,
             code_challenge_method: 'S256',
+            nonce,
             prompt,
         }).toString();
 
-    // Use a browser-visible loopback page for interactive sign-in so the browser
-    // shows a completion page, while silent auth can return straight to the app.
-    const callbackPromise = useDeepLinkCallback
-        ? waitForDeepLinkCallback({
-              timeoutMs: 15000,
-          })
-        : startLoopbackCallbackServer({
-              host: DEFAULTS.redirectHost,
-              port: DEFAULTS.redirectPort,
-              callbackPath: DEFAULTS.redirectPath,
-              timeoutMs: 300000,
-          });
-
     // Open auth URL in the system default browser
     try {
         await shell.openExternal(authUrl);
@@ -623,6 +1153,7 @@ export async function login({
 
     // Wait for the callback from the browser
     const callback = await callbackPromise;
+    throwIfCancelled(signal);
 
     if (callback?.error) {
         throw new Error(
@@ -641,7 +1172,14 @@ export async function login({
         redirectUri,
         codeVerifier,
         code: callback.code,
+        signal,
+    });
+    const claims = await verifyIdToken(tokenResponse.id_token, {
+        ...idTokenVerification(domain, clientId),
+        nonce,
+        signal,
     });
+    throwIfCancelled(signal);
 
     const normalized = {
         ...normalizeTokens(tokenResponse),
@@ -650,14 +1188,215 @@ export async function login({
         audience,
         scopes: requestedScopes,
         redirect_uri: redirectUri,
+        account: accountFromClaims(claims),
+    };
+
+    // Signing in adds the account (or renews it) and, by default, makes it the active one.
+    await writeStoredTokens(normalized, { signal, activate });
+    return normalized;
+}
+
+// Device authorization polling (RFC 8628): Auth0's default interval, and how much to
+// back off when it answers `slow_down`.
+const DEVICE_POLL_INTERVAL_SEC = 5;
+const DEVICE_SLOW_DOWN_SEC = 5;
+
+function waitFor(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(signal.reason);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+async function postOAuthForm(domain, endpoint, params, signal) {
+    const res = await fetch(`https://${domain}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(params).toString(),
+        signal: AbortSignal.any([AbortSignal.timeout(30000), signal]),
+    });
+    const bodyText = await res.text();
+    let body = null;
+    try {
+        body = JSON.parse(bodyText);
+    } catch {
+        // keep body null when response is not JSON
+    }
+    return { ok: res.ok, status: res.status, body, bodyText };
+}
+
+/**
+ * Sign in with the OAuth device authorization flow, for machines where login() can't
+ * work (loopback port taken, locked-down browser, remote desktop). `onUserCode` gets
+ * `{ userCode, verificationUri, verificationUriComplete, expiresAt }` to show the user,
+ * who approves on any device; the token endpoint is polled meanwhile. Rejects with
+ * AuthCancelledError when `signal` aborts or on logout().
+ */
+export async function loginWithDeviceCode({
+    domain = DEFAULTS.domain,
+    clientId = DEFAULTS.clientId,
+    audience = DEFAULTS.audience,
+    scopes = DEFAULTS.scopes,
+    onUserCode,
+    signal: callerSignal = null,
+    activate = true,
+} = {}) {
+    const signal = callerSignal
+        ? AbortSignal.any([authSession.signal, callerSignal])
+        : authSession.signal;
+    const requestedScopes = ensureRequiredScopes(scopes);
+
+    let started;
+    try {
+        started = await postOAuthForm(
+            domain,
+            '/oauth/device/code',
+            { client_id: clientId, audience, scope: requestedScopes },
+            signal,
+        );
+    } catch (e) {
+        throwIfCancelled(signal);
+        throw e;
+    }
+    if (!started.ok || !started.body?.device_code) {
+        throw new Error(`Device authorization failed: ${started.bodyText}`);
+    }
+
+    const {
+        device_code: deviceCode,
+        user_code: userCode,
+        verification_uri: verificationUri,
+        verification_uri_complete: verificationUriComplete,
+        expires_in: expiresInSec,
+        interval,
+    } = started.body;
+    const expiresAt = Date.now() + (Number(expiresInSec) || 900) * 1000;
+    let intervalSec = Number(interval) || DEVICE_POLL_INTERVAL_SEC;
+
+    logger.info('[auth] device authorization started', { expiresAt, intervalSec });
+    onUserCode?.({
+        userCode,
+        verificationUri,
+        verificationUriComplete: verificationUriComplete || null,
+        expiresAt,
+    });
+
+    let tokenResponse = null;
+    try {
+        while (!tokenResponse) {
+            await waitFor(intervalSec * 1000, signal);
+            if (Date.now() >= expiresAt) throw new Error('Device code expired');
+
+            const polled = await postOAuthForm(
+                domain,
+                '/oauth/token',
+                {
+                    grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+                    device_code: deviceCode,
+                    client_id: clientId,
+                },
+                signal,
+            );
+            if (polled.ok) {
+                tokenResponse = polled.body;
+                break;
+            }
+
+            const error = polled.body?.error;
+            if (error === 'authorization_pending') continue;
+            if (error === 'slow_down') {
+                intervalSec += DEVICE_SLOW_DOWN_SEC;
+                logger.info('[auth] device authorization polling slowed down', { intervalSec });
+                continue;
+            }
+            // access_denied, expired_token, or anything unexpected: stop polling.
+            const err = new Error(
+                `Device authorization failed: ${polled.body?.error_description || polled.bodyText}`,
+            );
+            if (error) err.oauthError = error;
+            throw err;
+        }
+    } catch (e) {
+        throwIfCancelled(signal);
+        throw e;
+    }
+    const claims = await verifyIdToken(tokenResponse.id_token, {
+        ...idTokenVerification(domain, clientId),
+        signal,
+    });
+    throwIfCancelled(signal);
+
+    const normalized = {
+        ...normalizeTokens(tokenResponse),
+        domain,
+        client_id: clientId,
+        audience,
+        scopes: requestedScopes,
+        account: accountFromClaims(claims),
     };
 
-    await writeStoredTokens(normalized);
+    logger.info('[auth] device authorization completed');
+    await writeStoredTokens(normalized, { signal, activate });
     return normalized;
 }
 
+/**
+ * Sign the active account out (other stored accounts stay) and cancel everything
+ * auth-related still in flight (interactive or silent login, token exchange, refresh);
+ * those calls reject with AuthCancelledError or resolve null instead of writing tokens
+ * for the signed-out user.
+ */
 export async function logout() {
-    await clearStoredTokens();
+    authSession.abort(new AuthCancelledError());
+    authSession = new AbortController();
+    clearTokenRefreshTimer();
+    pendingDeepLinkAuth?.reject(new AuthCancelledError());
+    await removeStoredAccount();
+}
+
+/**
+ * Identity of the active account from its verified ID token, as `{ sub, email, name,
+ * givenName }`. Null when signed out, or for tokens stored before ID tokens were
+ * verified (until a refresh brings a new ID token).
+ */
+export async function getVerifiedIdentity() {
+    const account = (await readStoredTokens())?.account;
+    if (!account?.verified) return null;
+    const { sub, email, name, givenName = null } = account;
+    return { sub, email, name, givenName };
+}
+
+/** Stored accounts as `{ sub, email, name, active }`, in sign-in order. */
+export async function listAccounts() {
+    const store = await readTokenStore();
+    return Object.entries(store.accounts).map(([sub, tokens]) => ({
+        sub,
+        email: tokens?.account?.email ?? null,
+        name: tokens?.account?.name ?? null,
+        active: sub === store.active,
+    }));
+}
+
+/**
+ * Make another stored account the active one. Resolves with its tokens (refreshed if
+ * expired), or null when it needs an interactive login again.
+ */
+export async function switchAccount(sub) {
+    const store = await updateTokenStore((s) => {
+        if (!s.accounts[sub]) throw new Error(`Unknown account "${sub}"`);
+        s.active = sub;
+    });
+    logger.info('[auth] switched account', { accounts: Object.keys(store.accounts).length });
+    await rescheduleTokenRefresh('switch-account');
+    return await getStoredAccessToken({ allowRefresh: true });
 }
 
 export async function isAuthenticated() {
@@ -0,0 +1,185 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import crypto from 'crypto';
+import logger from './logger';
+
+/**
+ * Auto-record rules, consulted when the SDK detects a meeting window.
+ *
+ * Rules are checked top to bottom and the first enabled rule whose conditions all
+ * match decides the action; with no match the user is asked via the meeting popup.
+ * A condition that is left empty matches everything. Rules only see what
+ * `meeting-detected` reports, so URL conditions never match a meeting whose URL
+ * isn't known yet.
+ *
+ *   platforms     ['zoom', 'google-meet', ...] as reported in `evt.window.platform`
+ *   urlPatterns   host/path globs, e.g. 'zoom.us/j/*', '*.zoom.us', 'meet.google.com/abc-*'
+ *   days          weekdays 0 (Sunday) - 6; empty means every day
+ *   timeStart/End 'HH:MM' local time; a window like 22:00-06:00 wraps past midnight
+ */
+
+export const AutoRecordAction = Object.freeze({
+    ALWAYS: 'always',
+    NEVER: 'never',
+    ASK: 'ask',
+});
+
+const ACTIONS = new Set(Object.values(AutoRecordAction));
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_RULES = 100;
+
+// Slack huddles were never recorded; keep that as a rule the user can now turn off.
+const DEFAULT_RULES = [
+    {
+        id: 'default-skip-slack',
+        name: 'Skip Slack huddles',
+        enabled: true,
+        action: AutoRecordAction.NEVER,
+        platforms: ['slack'],
+        urlPatterns: [],
+        days: [],
+        timeStart: null,
+        timeEnd: null,
+    },
+];
+
+function toStringList(value) {
+    if (!Array.isArray(value)) return [];
+    return value
+        .filter((v) => typeof v === 'string')
+        .map((v) => v.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/** Coerce untrusted input (settings UI, file on disk) into a well-formed rule, or null. */
+export function normalizeRule(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const action = typeof raw.action === 'string' ? raw.action.toLowerCase() : '';
+    if (!ACTIONS.has(action)) return null;
+
+    let timeStart = typeof raw.timeStart === 'string' ? raw.timeStart.trim() : '';
+    let timeEnd = typeof raw.timeEnd === 'string' ? raw.timeEnd.trim() : '';
+    if (!TIME_RE.test(timeStart) || !TIME_RE.test(timeEnd)) {
+        timeStart = null;
+        timeEnd = null;
+    }
+
+    const days = Array.isArray(raw.days)
+        ? raw.days.map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+        : [];
+
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : crypto.randomUUID(),
+        name: typeof raw.name === 'string' ? raw.name.trim().slice(0, 100) : '',
+        enabled: raw.enabled !== false,
+        action,
+        platforms: toStringList(raw.platforms),
+        urlPatterns: toStringList(raw.urlPatterns).map((p) => p.replace(/^[a-z]+:\/\//, '')),
+        days: Array.from(new Set(days)).sort(),
+        timeStart,
+        timeEnd,
+    };
+}
+
+function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+}
+
+function matchesUrl(patterns, meetingUrl) {
+    if (!patterns.length) return true;
+    if (!meetingUrl) return false;
+
+    let target;
+    try {
+        const u = new URL(meetingUrl);
+        target = `${u.hostname}${u.pathname}`.toLowerCase();
+    } catch {
+        return false;
+    }
+
+    return patterns.some((pattern) => {
+        // A bare host pattern matches any path on that host.
+        const full = pattern.includes('/') ? pattern : `${pattern}/*`;
+        return globToRegExp(full).test(target);
+    });
+}
+
+function toMinutes(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+function matchesTime(rule, now) {
+    if (rule.days.length && !rule.days.includes(now.getDay())) return false;
+    if (!rule.timeStart || !rule.timeEnd) return true;
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const start = toMinutes(rule.timeStart);
+    const end = toMinutes(rule.timeEnd);
+    if (start <= end) return minutes >= start && minutes < end;
+    return minutes >= start || minutes < end;
+}
+
+function matchesRule(rule, { platform, meetingUrl }, now) {
+    if (rule.platforms.length && !rule.platforms.includes(String(platform || '').toLowerCase())) {
+        return false;
+    }
+    return matchesUrl(rule.urlPatterns, meetingUrl) && matchesTime(rule, now);
+}
+
+class AutoRecordRules {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+        this.rules = null;
+    }
+
+    getRules() {
+        if (this.rules) return this.rules;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const rules = Array.isArray(data?.rules) ? data.rules : [];
+            this.rules = rules.map(normalizeRule).filter(Boolean).slice(0, MAX_RULES);
+        } catch (e) {
+            if (e?.code !== 'ENOENT') {
+                logger.warn('[auto-record] failed to read rules, using defaults', {
+                    error: e?.message,
+                });
+            }
+            this.rules = DEFAULT_RULES.map((r) => ({ ...r }));
+        }
+        return this.rules;
+    }
+
+    setRules(rules) {
+        const next = (Array.isArray(rules) ? rules : [])
+            .map(normalizeRule)
+            .filter(Boolean)
+            .slice(0, MAX_RULES);
+
+        const tmp = `${this.filePath}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tmp, JSON.stringify({ rules: next }, null, 2), 'utf8');
+        fs.renameSync(tmp, this.filePath);
+
+        this.rules = next;
+        logger.info('[auto-record] rules saved', { count: next.length });
+        return next;
+    }
+
+    /**
+     * Decide what to do with a detected meeting.
+     * Returns `{ action, rule }`; `rule` is null when nothing matched.
+     */
+    evaluate({ platform = null, meetingUrl = null } = {}, now = new Date()) {
+        for (const rule of this.getRules()) {
+            if (rule.enabled && matchesRule(rule, { platform, meetingUrl }, now)) {
+                return { action: rule.action, rule };
+            }
+        }
+        return { action: AutoRecordAction.ASK, rule: null };
+    }
+}
+
+export default AutoRecordRules;
@@ -0,0 +1,390 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import logger from './logger';
+
+/**
+ * Local calendar (.ics) lookup used to put a name on a detected meeting.
+ *
+ * The source is a single .ics file or a folder of them (not recursive). Files are
+ * re-parsed only when their mtime changes. Matching prefers an event whose
+ * conferencing link is the meeting URL, and falls back to the single event that is
+ * happening right now. Recurring events support FREQ=DAILY/WEEKLY with INTERVAL,
+ * BYDAY and UNTIL; COUNT and EXDATE are ignored, other frequencies only match their
+ * first occurrence.
+ */
+
+const MAX_FILES = 50;
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_ATTENDEES = 50;
+// How far around an event's scheduled time a meeting still counts as that event.
+const EARLY_MS = 15 * 60 * 1000;
+const LATE_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const URL_RE = /https?:\/\/[^\s"'<>\\]+/gi;
+
+const tzFormatters = new Map();
+
+function tzOffsetMs(ts, timeZone) {
+    let fmt = tzFormatters.get(timeZone);
+    if (!fmt) {
+        fmt = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        });
+        tzFormatters.set(timeZone, fmt);
+    }
+    const parts = Object.fromEntries(fmt.formatToParts(new Date(ts)).map((p) => [p.type, p.value]));
+    const asUtc = Date.UTC(
+        Number(parts.year),
+        Number(parts.month) - 1,
+        Number(parts.day),
+        Number(parts.hour),
+        Number(parts.minute),
+        Number(parts.second),
+    );
+    return asUtc - Math.floor(ts / 1000) * 1000;
+}
+
+// Wall-clock time in `timeZone` -> epoch ms. Unknown zones (e.g. Outlook's Windows
+// zone names) fall back to the local zone.
+function zonedTimeToUtc([y, mo, d, h, mi, s], timeZone) {
+    const asUtc = Date.UTC(y, mo - 1, d, h, mi, s);
+    try {
+        const offset = tzOffsetMs(asUtc, timeZone);
+        const utc = asUtc - offset;
+        const corrected = tzOffsetMs(utc, timeZone);
+        return corrected === offset ? utc : asUtc - corrected;
+    } catch {
+        return new Date(y, mo - 1, d, h, mi, s).getTime();
+    }
+}
+
+function parseDate(value, params = {}) {
+    const date = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+    if (date || params.VALUE === 'DATE') {
+        if (!date) return null;
+        const [, y, mo, d] = date.map(Number);
+        return { ms: new Date(y, mo - 1, d).getTime(), allDay: true };
+    }
+
+    const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z)?$/.exec(value);
+    if (!m) return null;
+    const parts = m.slice(1, 7).map(Number);
+    const zone = m[7] ? 'UTC' : params.TZID || null;
+    return { ms: wallTimeToUtc(parts, zone), allDay: false, parts, zone };
+}
+
+// `zone` is 'UTC', an IANA zone, or null for floating (local) time.
+function wallTimeToUtc(parts, zone) {
+    const [y, mo, d, h, mi, s] = parts;
+    if (zone === 'UTC') return Date.UTC(y, mo - 1, d, h, mi, s);
+    if (zone) return zonedTimeToUtc(parts, zone);
+    return new Date(y, mo - 1, d, h, mi, s).getTime();
+}
+
+// Calendar date of `ms` as seen in `zone`, as [y, mo, d].
+function wallDate(ms, zone) {
+    if (!zone) {
+        const d = new Date(ms);
+        return [d.getFullYear(), d.getMonth() + 1, d.getDate()];
+    }
+    let offset = 0;
+    try {
+        offset = zone === 'UTC' ? 0 : tzOffsetMs(ms, zone);
+    } catch {
+        return wallDate(ms, null);
+    }
+    const d = new Date(ms + offset);
+    return [d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate()];
+}
+
+function parseLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i += 1) {
+        const ch = line[i];
+        if (ch === '"') inQuotes = !inQuotes;
+        if (ch === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon < 0) return null;
+
+    const [name, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const p of rawParams) {
+        const eq = p.indexOf('=');
+        if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, '');
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function unescapeText(value) {
+    return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+function parsePerson(prop) {
+    const email = prop.value.replace(/^mailto:/i, '').trim() || null;
+    const name = prop.params.CN ? unescapeText(prop.params.CN).trim() : null;
+    return name || email ? { name, email } : null;
+}
+
+function parseRrule(value) {
+    const rule = Object.fromEntries(
+        value.split(';').map((part) => {
+            const [k, v = ''] = part.split('=');
+            return [k.toUpperCase(), v];
+        }),
+    );
+    return {
+        freq: rule.FREQ || null,
+        interval: Math.max(1, Number(rule.INTERVAL) || 1),
+        until: rule.UNTIL ? (parseDate(rule.UNTIL)?.ms ?? null) : null,
+        byDay: rule.BYDAY
+            ? rule.BYDAY.split(',')
+                  .map((d) => WEEKDAYS[d.slice(-2).toUpperCase()])
+                  .filter((d) => d !== undefined)
+            : [],
+    };
+}
+
+/** Comparable key for a conferencing URL: host + path, ignoring query and zoom subdomains. */
+export function meetingUrlKey(rawUrl) {
+    try {
+        const u = new URL(rawUrl);
+        let host = u.hostname.toLowerCase().replace(/^www\./, '');
+        if (host.endsWith('.zoom.us')) host = 'zoom.us';
+        let pathname = u.pathname;
+        try {
+            pathname = decodeURIComponent(pathname);
+        } catch {
+            // keep the raw path
+        }
+        return `${host}${pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+function toEvent(props) {
+    const first = (name) => props.find((p) => p.name === name);
+    const start = first('DTSTART') && parseDate(first('DTSTART').value, first('DTSTART').params);
+    if (!start || start.allDay) return null;
+    if ((first('STATUS')?.value || '').toUpperCase() === 'CANCELLED') return null;
+
+    const endProp = first('DTEND');
+    const end = endProp ? parseDate(endProp.value, endProp.params) : null;
+
+    // Conferencing links can be in any of these, depending on the calendar.
+    const linkSources = [
+        'URL',
+        'LOCATION',
+        'DESCRIPTION',
+        'X-GOOGLE-CONFERENCE',
+        'X-MICROSOFT-SKYPETEAMSMEETINGURL',
+    ];
+    const urlKeys = new Set();
+    for (const prop of props.filter((p) => linkSources.includes(p.name))) {
+        for (const match of unescapeText(prop.value).match(URL_RE) || []) {
+            const key = meetingUrlKey(match);
+            if (key) urlKeys.add(key);
+        }
+    }
+
+    const rrule = first('RRULE');
+    return {
+        uid: first('UID')?.value || null,
+        title: first('SUMMARY') ? unescapeText(first('SUMMARY').value).trim() : null,
+        start: start.ms,
+        startParts: start.parts,
+        zone: start.zone,
+        end: end?.ms && end.ms > start.ms ? end.ms : start.ms + 30 * 60 * 1000,
+        organizer: first('ORGANIZER') ? parsePerson(first('ORGANIZER')) : null,
+        attendees: props
+            .filter((p) => p.name === 'ATTENDEE')
+            .map(parsePerson)
+            .filter(Boolean)
+            .slice(0, MAX_ATTENDEES),
+        urlKeys: Array.from(urlKeys),
+        rrule: rrule ? parseRrule(rrule.value) : null,
+    };
+}
+
+export function parseIcs(text) {
+    const lines = String(text)
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n');
+
+    const events = [];
+    let props = null;
+    for (const line of lines) {
+        if (line === 'BEGIN:VEVENT') {
+            props = [];
+        } else if (line === 'END:VEVENT') {
+            const event = props && toEvent(props);
+            if (event) events.push(event);
+            props = null;
+        } else if (props) {
+            const prop = parseLine(line);
+            if (prop) props.push(prop);
+        }
+    }
+    return events;
+}
+
+// The occurrence of `event` closest to `at` (today or the one that started yesterday),
+// computed on wall-clock dates in the event's own zone so DST changes don't shift it.
+function occurrenceNear(event, at) {
+    const durationMs = event.end - event.start;
+    if (!event.rrule || !['DAILY', 'WEEKLY'].includes(event.rrule.freq)) {
+        return { start: event.start, end: event.end };
+    }
+
+    const { freq, interval, until, byDay } = event.rrule;
+    const [fy, fmo, fd, h, mi, s] = event.startParts;
+    const firstDay = Date.UTC(fy, fmo - 1, fd);
+    const [ty, tmo, td] = wallDate(at, event.zone);
+    for (const dayOffset of [0, -1]) {
+        const day = Date.UTC(ty, tmo - 1, td + dayOffset);
+        const date = new Date(day);
+        const start = wallTimeToUtc(
+            [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), h, mi, s],
+            event.zone,
+        );
+        if (start < event.start || (until && start > until)) continue;
+
+        const daysSince = Math.round((day - firstDay) / DAY_MS);
+        if (freq === 'DAILY' && daysSince % interval !== 0) continue;
+        if (freq === 'WEEKLY') {
+            const days = byDay.length ? byDay : [new Date(firstDay).getUTCDay()];
+            const weeksSince = Math.floor((daysSince + new Date(firstDay).getUTCDay()) / 7);
+            if (!days.includes(date.getUTCDay()) || weeksSince % interval !== 0) continue;
+        }
+        return { start, end: start + durationMs };
+    }
+    return null;
+}
+
+function isHappening(occurrence, at) {
+    return !!occurrence && at >= occurrence.start - EARLY_MS && at <= occurrence.end + LATE_MS;
+}
+
+class IcsCalendar {
+    constructor() {
+        this.sourcePath = null;
+        this.files = new Map(); // filePath -> { mtimeMs, events }
+    }
+
+    setSource(sourcePath) {
+        const next = sourcePath ? String(sourcePath) : null;
+        if (next === this.sourcePath) return;
+        this.sourcePath = next;
+        this.files.clear();
+        logger.info('[calendar] source set', { path: next });
+    }
+
+    _listFiles() {
+        if (!this.sourcePath) return [];
+        const stat = fs.statSync(this.sourcePath);
+        if (stat.isFile()) return [this.sourcePath];
+        return fs
+            .readdirSync(this.sourcePath)
+            .filter((name) => name.toLowerCase().endsWith('.ics'))
+            .slice(0, MAX_FILES)
+            .map((name) => path.join(this.sourcePath, name));
+    }
+
+    /** Re-parse files that changed since the last call. Returns all known events. */
+    getEvents() {
+        let filePaths = [];
+        try {
+            filePaths = this._listFiles();
+        } catch (e) {
+            logger.warn('[calendar] cannot read calendar source', {
+                path: this.sourcePath,
+                error: e?.message,
+            });
+        }
+
+        const seen = new Set(filePaths);
+        for (const filePath of this.files.keys()) {
+            if (!seen.has(filePath)) this.files.delete(filePath);
+        }
+
+        for (const filePath of filePaths) {
+            try {
+                const stat = fs.statSync(filePath);
+                const cached = this.files.get(filePath);
+                if (cached?.mtimeMs === stat.mtimeMs) continue;
+                if (stat.size > MAX_FILE_BYTES) {
+                    logger.warn('[calendar] skipping large calendar file', {
+                        path: filePath,
+                        bytes: stat.size,
+                    });
+                    continue;
+                }
+                const events = parseIcs(fs.readFileSync(filePath, 'utf8'));
+                this.files.set(filePath, { mtimeMs: stat.mtimeMs, events });
+                logger.info('[calendar] loaded calendar file', {
+                    path: filePath,
+                    events: events.length,
+                });
+            } catch (e) {
+                logger.warn('[calendar] failed to parse calendar file', {
+                    path: filePath,
+                    error: e?.message,
+                });
+            }
+        }
+
+        return Array.from(this.files.values()).flatMap((f) => f.events);
+    }
+
+    /**
+     * Find the calendar event for a detected meeting.
+     * Returns `{ event, matchedBy: 'url' | 'time' }` or null.
+     */
+    findEventForMeeting({ meetingUrl = null, at = Date.now() } = {}) {
+        if (!this.sourcePath) return null;
+        const events = this.getEvents();
+        if (!events.length) return null;
+
+        const withOccurrence = (event) => {
+            const occurrence = occurrenceNear(event, at) || { start: event.start, end: event.end };
+            return {
+                uid: event.uid,
+                title: event.title,
+                start: occurrence.start,
+                end: occurrence.end,
+                organizer: event.organizer,
+                attendees: event.attendees,
+            };
+        };
+        const byDistance = (a, b) => Math.abs(a.start - at) - Math.abs(b.start - at);
+
+        const key = meetingUrl ? meetingUrlKey(meetingUrl) : null;
+        if (key) {
+            const matches = events.filter((e) => e.urlKeys.includes(key)).map(withOccurrence);
+            if (matches.length) return { event: matches.sort(byDistance)[0], matchedBy: 'url' };
+        }
+
+        // Without a URL match only trust the time if exactly one event is on right now.
+        const current = events
+            .map((e) => ({ event: e, occurrence: occurrenceNear(e, at) }))
+            .filter(({ occurrence }) => isHappening(occurrence, at))
+            .map(({ event }) => withOccurrence(event));
+        if (current.length === 1) return { event: current[0], matchedBy: 'time' };
+        return null;
+    }
+}
+
+export default IcsCalendar;
@@ -0,0 +1,132 @@
+import { app } from 'electron';
+import * as fs from 'fs';
+import * as path from 'path';
+import { loadEnv } from './load-env';
+
+/**
+ * Backend environment profiles. A profile bundles every URL the app talks to, so
+ * switching environments can never mix e.g. the staging API with production auth.
+ *
+ * Selection order: `GIA_ENV` (from the shell or `.env`), then the hidden switch in
+ * Settings (persisted to `environment.json` in userData), then production. Single
+ * values can still be overridden with `GIA_API_URL`, `GIA_LOGGER_URL`,
+ * `RECALL_API_URL`, `GIA_PLATFORM_URL` and the existing `AUTH0_*` variables.
+ * The environment is resolved once per process; changing it requires a restart.
+ */
+
+export const Environment = Object.freeze({
+    PROD: 'prod',
+    STAGE: 'stage',
+    LOCAL: 'local',
+});
+
+const PROD_AUTH0 = {
+    domain: 'auth.myagiea.com',
+    clientId: '0E4ov2yLLLONevskQiqYzbRotpGdmX4q',
+    audience: 'https://api.heygia.com',
+};
+const DESKTOP_SDK_LOGGER_URL =
+    'https://r0ng0htend.execute-api.us-east-2.amazonaws.com/stage/desktop-sdk-logger';
+// Port of the stand-in backend started with `npm run start:server`.
+const LOCAL_SERVER_URL = `http://127.0.0.1:${process.env.GIA_LOCAL_SERVER_PORT || 4000}`;
+
+const PROFILES = {
+    [Environment.PROD]: {
+        label: 'Production',
+        apiUrl: 'https://api.myagiea.com',
+        loggerUrl: DESKTOP_SDK_LOGGER_URL,
+        recallApiUrl: 'https://us-east-1.recall.ai',
+        platformUrl: 'https://platform.myagiea.com',
+        auth0: PROD_AUTH0,
+    },
+    // Staging shares the Auth0 tenant, Recall region and web platform with production.
+    [Environment.STAGE]: {
+        label: 'Staging',
+        apiUrl: 'https://r0ng0htend.execute-api.us-east-2.amazonaws.com/stage',
+        loggerUrl: DESKTOP_SDK_LOGGER_URL,
+        recallApiUrl: 'https://us-east-1.recall.ai',
+        platformUrl: 'https://platform.myagiea.com',
+        auth0: PROD_AUTH0,
+    },
+    // Local backend stand-in; recordings and sign-in still go to the real services.
+    [Environment.LOCAL]: {
+        label: 'Local',
+        apiUrl: LOCAL_SERVER_URL,
+        loggerUrl: `${LOCAL_SERVER_URL}/desktop-sdk-logger`,
+        recallApiUrl: 'https://us-east-1.recall.ai',
+        platformUrl: 'https://platform.myagiea.com',
+        auth0: PROD_AUTH0,
+    },
+};
+
+let activeEnvironment = null;
+
+function normalizeName(name) {
+    const value = String(name || '')
+        .trim()
+        .toLowerCase();
+    if (value === 'production') return Environment.PROD;
+    if (value === 'staging') return Environment.STAGE;
+    return PROFILES[value] ? value : null;
+}
+
+function getSwitchFile() {
+    return path.join(app.getPath('userData'), 'environment.json');
+}
+
+/** Environment picked with the hidden Settings switch, or null. */
+export function readEnvironmentSwitch() {
+    try {
+        return normalizeName(JSON.parse(fs.readFileSync(getSwitchFile(), 'utf8'))?.environment);
+    } catch {
+        return null;
+    }
+}
+
+/** Persist the Settings switch; null goes back to the default. Applies after restart. */
+export function writeEnvironmentSwitch(name) {
+    const environment = normalizeName(name);
+    const file = getSwitchFile();
+    if (!environment) {
+        fs.rmSync(file, { force: true });
+        return null;
+    }
+    const tmp = `${file}.tmp`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify({ environment }, null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+    return environment;
+}
+
+export function listEnvironments() {
+    return Object.entries(PROFILES).map(([name, profile]) => ({ name, label: profile.label }));
+}
+
+function resolveEnvironment() {
+    loadEnv();
+    const fromEnv = normalizeName(process.env.GIA_ENV);
+    const fromSwitch = fromEnv ? null : readEnvironmentSwitch();
+    const name = fromEnv || fromSwitch || Environment.PROD;
+    const profile = PROFILES[name];
+
+    return Object.freeze({
+        name,
+        label: profile.label,
+        source: fromEnv ? 'env' : fromSwitch ? 'switch' : 'default',
+        isProduction: name === Environment.PROD,
+        apiUrl: process.env.GIA_API_URL || profile.apiUrl,
+        loggerUrl: process.env.GIA_LOGGER_URL || profile.loggerUrl,
+        recallApiUrl: process.env.RECALL_API_URL || profile.recallApiUrl,
+        platformUrl: (process.env.GIA_PLATFORM_URL || profile.platformUrl).replace(/\/+$/, ''),
+        auth0: Object.freeze({
+            domain: process.env.AUTH0_DOMAIN || profile.auth0.domain,
+            clientId: process.env.AUTH0_CLIENT_ID || profile.auth0.clientId,
+            audience: process.env.AUTH0_AUDIENCE || profile.auth0.audience,
+        }),
+    });
+}
+
+export function getEnvironment() {
+    if (!activeEnvironment) activeEnvironment = resolveEnvironment();
+    return activeEnvironment;
+}
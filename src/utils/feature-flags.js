@@ -0,0 +1,175 @@
+import { EventEmitter } from 'events';
+import * as fs from 'fs';
+import * as path from 'path';
+import logger from './logger';
+
+/**
+ * Per-user feature flags, read from the Gia user profile.
+ *
+ * Flags come from `profile.featureFlags` and, for flags the backend stores as user
+ * preferences (e.g. `botlessEnabled`), from `profile.preferences`; `featureFlags`
+ * wins when both are present. Every flag has a type and a default, so getters always
+ * return a usable value. The last values received are persisted with the user id, so
+ * a restart (or a profile request that fails) keeps the user's flags instead of
+ * falling back to defaults. `update()` emits `change` with all values and the list
+ * of flags that changed; `reset()` (logout) goes back to defaults.
+ */
+
+export const FeatureFlag = Object.freeze({
+    // Detect meetings and offer to record them without a bot joining the call.
+    BOTLESS_ENABLED: 'botlessEnabled',
+});
+
+const SCHEMA = {
+    [FeatureFlag.BOTLESS_ENABLED]: { type: 'boolean', default: false },
+};
+
+export const FEATURE_FLAG_DEFAULTS = Object.freeze(
+    Object.fromEntries(Object.entries(SCHEMA).map(([name, spec]) => [name, spec.default])),
+);
+
+function coerce(value, spec) {
+    switch (spec.type) {
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (value === 'true' || value === 1) return true;
+            if (value === 'false' || value === 0) return false;
+            return undefined;
+        case 'number': {
+            const n = typeof value === 'string' && value.trim() ? Number(value) : value;
+            return typeof n === 'number' && Number.isFinite(n) ? n : undefined;
+        }
+        case 'string':
+            return typeof value === 'string' ? value : undefined;
+        default:
+            return undefined;
+    }
+}
+
+// Known flags from `sources`, in priority order; missing or mistyped ones use `base`.
+function readFlags(sources, base) {
+    const out = { ...base };
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        for (const source of sources) {
+            if (!source || typeof source !== 'object' || source[name] === undefined) continue;
+            const value = coerce(source[name], spec);
+            if (value !== undefined) {
+                out[name] = value;
+                break;
+            }
+        }
+    }
+    return out;
+}
+
+class FeatureFlags extends EventEmitter {
+    constructor({ filePath }) {
+        super();
+        this.filePath = filePath;
+        this.userId = null;
+        this.values = null;
+        this.updatedAt = null;
+    }
+
+    getAll() {
+        this._load();
+        return { ...this.values };
+    }
+
+    get(name) {
+        if (!SCHEMA[name]) throw new Error(`Unknown feature flag "${name}"`);
+        return this.getAll()[name];
+    }
+
+    isEnabled(name) {
+        if (SCHEMA[name]?.type !== 'boolean') throw new Error(`"${name}" is not a boolean flag`);
+        return this.get(name) === true;
+    }
+
+    /** User the current values belong to (null = defaults / signed out). */
+    getUserId() {
+        this._load();
+        return this.userId;
+    }
+
+    /** Apply the flags from a freshly fetched profile; flags it doesn't set use defaults. */
+    update(userId, profile) {
+        this._load();
+        const next = readFlags(
+            [profile?.featureFlags, profile?.preferences],
+            FEATURE_FLAG_DEFAULTS,
+        );
+        this._apply(userId || null, next, 'profile');
+        return { ...next };
+    }
+
+    reset() {
+        this._load();
+        this._apply(null, { ...FEATURE_FLAG_DEFAULTS }, 'reset');
+    }
+
+    _apply(userId, next, reason) {
+        const changed = Object.keys(next).filter((name) => next[name] !== this.values[name]);
+        const userChanged = userId !== this.userId;
+        this.userId = userId;
+        this.values = next;
+        this.updatedAt = Date.now();
+        this._save();
+
+        if (!changed.length) return;
+        logger.info('[flags] feature flags changed', {
+            reason,
+            userChanged,
+            changed: Object.fromEntries(changed.map((name) => [name, next[name]])),
+        });
+        try {
+            this.emit('change', { ...next }, changed);
+        } catch (e) {
+            logger.warn('[flags] change listener failed', e);
+        }
+    }
+
+    _load() {
+        if (this.values) return;
+        try {
+            const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.userId = typeof raw?.userId === 'string' ? raw.userId : null;
+            this.values = readFlags([raw?.values], FEATURE_FLAG_DEFAULTS);
+            this.updatedAt = Number(raw?.updatedAt) || null;
+        } catch (e) {
+            if (e?.code !== 'ENOENT') {
+                logger.warn('[flags] failed to read feature flags, using defaults', {
+                    error: e?.message,
+                });
+            }
+            this.userId = null;
+            this.values = { ...FEATURE_FLAG_DEFAULTS };
+        }
+    }
+
+    _save() {
+        try {
+            const tmp = `${this.filePath}.tmp`;
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(
+                tmp,
+                JSON.stringify(
+                    {
+                        version: 1,
+                        userId: this.userId,
+                        values: this.values,
+                        updatedAt: this.updatedAt,
+                    },
+                    null,
+                    2,
+                ),
+                'utf8',
+            );
+            fs.renameSync(tmp, this.filePath);
+        } catch (e) {
+            logger.warn('[flags] failed to persist feature flags', { error: e?.message });
+        }
+    }
+}
+
+export default FeatureFlags;
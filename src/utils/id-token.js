@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import logger from './logger';
+
+/**
+ * OpenID Connect ID token verification.
+ *
+ * Checks the JWT signature against the issuer's JWKS (RS256 or ES256), then `iss`,
+ * `aud` (and `azp` when there are several audiences), `exp`/`iat` with a little clock
+ * skew, and `nonce` when the caller sent one. JWKS responses are cached per URL; an
+ * unknown `kid` triggers a refetch (key rotation), rate-limited so a bad token can't
+ * make us hammer the issuer.
+ */
+
+export class IdTokenError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'IdTokenError';
+        this.code = code;
+    }
+}
+
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+const JWKS_MIN_REFETCH_MS = 60 * 1000;
+const JWKS_TIMEOUT_MS = 15000;
+const CLOCK_SKEW_SEC = 60;
+
+const ALGORITHMS = {
+    RS256: { hash: 'sha256', kty: 'RSA' },
+    ES256: { hash: 'sha256', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+};
+
+// jwksUri -> { keys, fetchedAt, inFlight }
+const jwksCache = new Map();
+
+function decodeSegment(segment, what) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch {
+        throw new IdTokenError(`ID token ${what} is not valid JSON`, 'malformed');
+    }
+}
+
+async function fetchJwks(jwksUri, signal) {
+    const res = await fetch(jwksUri, {
+        headers: { Accept: 'application/json' },
+        signal: signal
+            ? AbortSignal.any([AbortSignal.timeout(JWKS_TIMEOUT_MS), signal])
+            : AbortSignal.timeout(JWKS_TIMEOUT_MS),
+    });
+    if (!res.ok) throw new Error(`JWKS request failed with status ${res.status}`);
+    const body = await res.json();
+    if (!Array.isArray(body?.keys)) throw new Error('JWKS response has no keys');
+    return body.keys;
+}
+
+function loadJwks(jwksUri, signal) {
+    const entry = jwksCache.get(jwksUri) || { keys: null, fetchedAt: 0, inFlight: null };
+    jwksCache.set(jwksUri, entry);
+    if (!entry.inFlight) {
+        entry.inFlight = fetchJwks(jwksUri, signal)
+            .then((keys) => {
+                entry.keys = keys;
+                entry.fetchedAt = Date.now();
+                logger.info('[auth] fetched JWKS', { jwksUri, keys: keys.length });
+                return keys;
+            })
+            .finally(() => {
+                entry.inFlight = null;
+            });
+    }
+    return entry.inFlight;
+}
+
+async function getSigningKey(jwksUri, kid, signal) {
+    const find = (keys) => keys?.find((k) => k.kid === kid && (!k.use || k.use === 'sig'));
+    const entry = jwksCache.get(jwksUri);
+    const fresh = entry?.keys && Date.now() - entry.fetchedAt < JWKS_CACHE_TTL_MS;
+
+    let jwk = fresh ? find(entry.keys) : null;
+    const mayRefetch = !entry?.fetchedAt || Date.now() - entry.fetchedAt >= JWKS_MIN_REFETCH_MS;
+    if (!jwk && (!fresh || mayRefetch)) {
+        try {
+            jwk = find(await loadJwks(jwksUri, signal));
+        } catch (e) {
+            // Expired cache still beats failing a login because the issuer is slow.
+            jwk = find(entry?.keys);
+            if (!jwk) {
+                throw new IdTokenError(
+                    `Could not load JWKS: ${e?.message || e}`,
+                    'jwks_unavailable',
+                );
+            }
+            logger.warn('[auth] JWKS refresh failed, using cached keys', {
+                error: e?.message || String(e),
+            });
+        }
+    }
+    if (!jwk) throw new IdTokenError(`No signing key for kid "${kid}"`, 'unknown_key');
+    return jwk;
+}
+
+function checkAudience(claims, audience) {
+    const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!aud.includes(audience)) {
+        throw new IdTokenError('ID token audience mismatch', 'invalid_audience');
+    }
+    if (aud.length > 1 && claims.azp !== audience) {
+        throw new IdTokenError('ID token authorized party mismatch', 'invalid_audience');
+    }
+}
+
+/**
+ * Verify `idToken` and resolve with its claims. `issuer` and `audience` (the client id)
+ * must match exactly; `nonce` is checked when given (tokens from a refresh have none).
+ * Rejects with IdTokenError.
+ */
+export async function verifyIdToken(
+    idToken,
+    { issuer, audience, jwksUri, nonce = null, signal = null, now = Date.now() },
+) {
+    const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+    if (parts.length !== 3) throw new IdTokenError('ID token is missing or malformed', 'malformed');
+    const [headerSegment, payloadSegment, signatureSegment] = parts;
+    const header = decodeSegment(headerSegment, 'header');
+    const claims = decodeSegment(payloadSegment, 'payload');
+
+    const alg = ALGORITHMS[header?.alg];
+    if (!alg) throw new IdTokenError(`Unsupported ID token alg "${header?.alg}"`, 'invalid_alg');
+
+    const jwk = await getSigningKey(jwksUri, header.kid, signal);
+    if (jwk.kty !== alg.kty || (jwk.alg && jwk.alg !== header.alg)) {
+        throw new IdTokenError('Signing key does not match the token alg', 'invalid_alg');
+    }
+    let valid = false;
+    try {
+        const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        valid = crypto.verify(
+            alg.hash,
+            Buffer.from(`${headerSegment}.${payloadSegment}`),
+            alg.dsaEncoding ? { key, dsaEncoding: alg.dsaEncoding } : key,
+            Buffer.from(signatureSegment, 'base64url'),
+        );
+    } catch {
+        valid = false;
+    }
+    if (!valid) throw new IdTokenError('ID token signature is invalid', 'invalid_signature');
+
+    if (claims.iss !== issuer) throw new IdTokenError('ID token issuer mismatch', 'invalid_issuer');
+    checkAudience(claims, audience);
+
+    const nowSec = Math.floor(now / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SEC < nowSec) {
+        throw new IdTokenError('ID token has expired', 'expired');
+    }
+    if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SEC > nowSec) {
+        throw new IdTokenError('ID token was issued in the future', 'invalid_iat');
+    }
+    if (nonce !== null && claims.nonce !== nonce) {
+        throw new IdTokenError('ID token nonce mismatch', 'invalid_nonce');
+    }
+    if (typeof claims.sub !== 'string' || !claims.sub) {
+        throw new IdTokenError('ID token has no subject', 'malformed');
+    }
+    return claims;
+}
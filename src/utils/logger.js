@@ -1,3 +1,4 @@
+import * as crypto from 'crypto';
 import * as util from 'util';
 
 let baseContext = {};
@@ -56,6 +57,15 @@ function buildTraceparent(traceId, spanId, flags) {
     return `00-${traceId.toLowerCase()}-${spanId.toLowerCase()}-${fl.toLowerCase()}`;
 }
 
+function parseTraceparent(traceparent) {
+    const match =
+        typeof traceparent === 'string'
+            ? /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/i.exec(traceparent.trim())
+            : null;
+    if (!match) return null;
+    return { traceId: match[1].toLowerCase(), spanId: match[2].toLowerCase(), flags: match[3] };
+}
+
 function setCurrentTraceFromResponse(data) {
     try {
         if (!data || typeof data !== 'object') return;
@@ -222,6 +232,13 @@ const logger = {
         baseContext = { ...(baseContext || {}), userId: normalized, user_id: normalized };
     },
 
+    // Auth0 subject of the signed-in account, known from the ID token even when the
+    // profile (and with it the Gia user id) can't be fetched.
+    setAuthSubject(sub) {
+        const normalized = typeof sub === 'string' && sub.length ? sub : null;
+        baseContext = { ...(baseContext || {}), authSub: normalized };
+    },
+
     setTeeToConsole(enabled) {
         teeToConsole = Boolean(enabled);
     },
@@ -237,6 +254,32 @@ const logger = {
     clearTrace() {
         currentTrace = { traceId: null, spanId: null, traceparent: null };
     },
+    /**
+     * New span in the current trace for an outgoing request: same trace id, fresh span
+     * id. Without a trace yet (or tracing off) the span starts its own trace, which
+     * still ties the request to the logs written with its traceparent.
+     */
+    createChildSpan() {
+        const parent = parseTraceparent(currentTrace?.traceparent);
+        const traceId = parent?.traceId || crypto.randomBytes(16).toString('hex');
+        const spanId = crypto.randomBytes(8).toString('hex');
+        return {
+            traceId,
+            spanId,
+            parentSpanId: parent?.spanId || null,
+            traceparent: buildTraceparent(traceId, spanId, parent?.flags || traceFlags),
+        };
+    },
+    /** Logger whose entries are sent with `traceparent` instead of the current trace. */
+    withTraceparent(traceparent) {
+        const context = { traceparent };
+        return {
+            debug: (...args) => emit('debug', args, context),
+            info: (...args) => emit('info', args, context),
+            warn: (...args) => emit('warn', args, context),
+            error: (...args) => emit('error', args, context),
+        };
+    },
 
     isRemoteLoggingConfigured() {
         return remoteLoggingConfigured;
@@ -0,0 +1,247 @@
+import { EventEmitter } from 'events';
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import logger from './logger';
+
+/**
+ * Persistent queue for backend calls that must not be lost to a network blip.
+ *
+ * Items are `{ id, kind, key, payload, attempts, nextAttemptAt, ... }` stored as one
+ * JSON file, so they survive restarts. Enqueueing an item with the same kind + key
+ * replaces the older one (e.g. one registration per recordingId). Each kind has a
+ * handler; a handler that resolves removes the item, one that throws an error for
+ * which `isPermanent(error)` is true drops it, anything else is retried with backoff.
+ * Nothing is sent while `isOnline()` says we're offline. Emits `change` with the
+ * pending count.
+ */
+
+const MAX_ITEMS = 100;
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const RETRY_DELAYS_MS = [30 * 1000, 60 * 1000, 2 * 60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000];
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+// While offline, check connectivity this often.
+const OFFLINE_POLL_MS = 30 * 1000;
+
+function retryDelayMs(attempts) {
+    const base = RETRY_DELAYS_MS[attempts - 1] ?? MAX_RETRY_DELAY_MS;
+    return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+class Outbox extends EventEmitter {
+    constructor({ filePath, isOnline = () => true, isPermanent = () => false }) {
+        super();
+        this.filePath = filePath;
+        this.isOnline = isOnline;
+        this.isPermanent = isPermanent;
+        this.handlers = new Map();
+        this.items = null;
+        this.timer = null;
+        this.flushing = null;
+        this.started = false;
+        this.wasOffline = false;
+    }
+
+    get size() {
+        return this._load().length;
+    }
+
+    setHandler(kind, handler) {
+        this.handlers.set(kind, handler);
+    }
+
+    list() {
+        return this._load().map((item) => ({ ...item }));
+    }
+
+    enqueue(kind, key, payload, { error = null } = {}) {
+        const items = this._load().filter((item) => !(item.kind === kind && item.key === key));
+        const item = {
+            id: crypto.randomUUID(),
+            kind,
+            key,
+            payload,
+            attempts: 0,
+            createdAt: Date.now(),
+            nextAttemptAt: Date.now() + retryDelayMs(1),
+            lastError: error ? String(error?.message || error) : null,
+        };
+        items.push(item);
+        this.items = items.slice(-MAX_ITEMS);
+        this._save();
+        logger.info('[outbox] queued', { kind, key, pending: this.items.length });
+        this._schedule();
+        return item;
+    }
+
+    /** Drop a queued item, e.g. because the same call just succeeded directly. */
+    remove(kind, key) {
+        const items = this._load();
+        const next = items.filter((item) => !(item.kind === kind && item.key === key));
+        if (next.length === items.length) return false;
+        this.items = next;
+        this._save();
+        logger.info('[outbox] removed', { kind, key, pending: next.length });
+        return true;
+    }
+
+    start() {
+        this.started = true;
+        this._schedule();
+    }
+
+    stop() {
+        this.started = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /** Connectivity came back (online, resume, login): retry everything now. */
+    wake(reason) {
+        const items = this._load();
+        if (!items.length) return Promise.resolve();
+        logger.info('[outbox] replaying pending items', { reason, pending: items.length });
+        const now = Date.now();
+        this.items = items.map((item) => ({ ...item, nextAttemptAt: now }));
+        this._save();
+        return this.flush();
+    }
+
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this._flush().finally(() => {
+                this.flushing = null;
+                this._schedule();
+            });
+        }
+        return this.flushing;
+    }
+
+    async _flush() {
+        if (!this.isOnline()) {
+            this.wasOffline = true;
+            return;
+        }
+        const now = Date.now();
+        const due = this._load().filter((item) => item.nextAttemptAt <= now);
+
+        for (const item of due) {
+            // Replaced or removed while an earlier item was being sent.
+            if (!this._load().some((i) => i.id === item.id)) continue;
+
+            const handler = this.handlers.get(item.kind);
+            if (!handler) continue;
+            if (now - item.createdAt > MAX_AGE_MS) {
+                logger.warn('[outbox] dropping expired item', { kind: item.kind, key: item.key });
+                this._update(item.id, null);
+                continue;
+            }
+
+            try {
+                await handler(item.payload, item);
+                logger.info('[outbox] delivered', {
+                    kind: item.kind,
+                    key: item.key,
+                    attempts: item.attempts + 1,
+                });
+                this._update(item.id, null);
+            } catch (e) {
+                const attempts = item.attempts + 1;
+                if (this.isPermanent(e)) {
+                    logger.error('[outbox] dropping item after permanent failure', {
+                        kind: item.kind,
+                        key: item.key,
+                        attempts,
+                        error: e?.message,
+                    });
+                    this._update(item.id, null);
+                    continue;
+                }
+                const nextAttemptAt = Date.now() + retryDelayMs(attempts);
+                logger.warn('[outbox] delivery failed, will retry', {
+                    kind: item.kind,
+                    key: item.key,
+                    attempts,
+                    nextAttemptAt,
+                    error: e?.message,
+                });
+                this._update(item.id, { attempts, nextAttemptAt, lastError: e?.message || null });
+                if (!this.isOnline()) return;
+            }
+        }
+    }
+
+    _schedule() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        const items = this._load();
+        if (!this.started || !items.length || this.flushing) return;
+
+        const nextAt = Math.min(...items.map((item) => item.nextAttemptAt));
+        let delayMs = Math.max(0, nextAt - Date.now());
+        // Offline: poll so items go out as soon as the connection is back.
+        if (!this.isOnline()) {
+            this.wasOffline = true;
+            delayMs = OFFLINE_POLL_MS;
+        }
+        this.timer = setTimeout(
+            () => {
+                this.timer = null;
+                if (this.wasOffline && this.isOnline()) {
+                    this.wasOffline = false;
+                    this.wake('online');
+                } else {
+                    this.flush();
+                }
+            },
+            Math.min(delayMs, MAX_RETRY_DELAY_MS),
+        );
+        this.timer.unref?.();
+    }
+
+    _update(id, patch) {
+        const items = this._load();
+        this.items = patch
+            ? items.map((item) => (item.id === id ? { ...item, ...patch } : item))
+            : items.filter((item) => item.id !== id);
+        this._save();
+    }
+
+    _load() {
+        if (this.items) return this.items;
+        try {
+            const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.items = Array.isArray(raw?.items) ? raw.items.filter((i) => i?.id && i.kind) : [];
+        } catch (e) {
+            if (e?.code !== 'ENOENT') {
+                logger.warn('[outbox] failed to read queue, starting empty', {
+                    error: e?.message,
+                });
+            }
+            this.items = [];
+        }
+        return this.items;
+    }
+
+    _save() {
+        try {
+            const tmp = `${this.filePath}.tmp`;
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tmp, JSON.stringify({ version: 1, items: this.items }), 'utf8');
+            fs.renameSync(tmp, this.filePath);
+        } catch (e) {
+            logger.warn('[outbox] failed to persist queue', { error: e?.message });
+        }
+        try {
+            this.emit('change', this.items.length);
+        } catch (e) {
+            logger.warn('[outbox] change listener failed', e);
+        }
+    }
+}
+
+export default Outbox;
@@ -0,0 +1,60 @@
+/**
+ * Pause/resume timeline for one recording attempt, built from its ledger record (see
+ * recording-ledger.js) and sent once the recording ends so reviewers can tell an
+ * intentional pause from missing audio.
+ *
+ * Pure functions only; main.js owns the submission and its retries.
+ */
+
+/**
+ * Build the timeline payload for a ledger record, or null if the recording never started.
+ * A recording stopped while paused gets a final pause that runs to its end.
+ */
+export function buildPauseTimeline(record, now = Date.now()) {
+    const startedAt = record?.startedAt;
+    if (!startedAt) return null;
+    const endedAt = record.stoppedAt || record.endedAt || now;
+
+    let pausedSoFarMs = 0;
+    const pauses = [];
+    const sorted = (record.pauses || [])
+        .filter((p) => p?.pausedAt)
+        .sort((a, b) => a.pausedAt - b.pausedAt);
+    for (const pause of sorted) {
+        const pausedAt = Math.max(pause.pausedAt, startedAt);
+        // Stopped while paused: the pause runs to the end of the recording.
+        const resumedAt = Math.min(pause.resumedAt || endedAt, endedAt);
+        if (resumedAt < pausedAt) continue;
+
+        const durationMs = resumedAt - pausedAt;
+        pauses.push({
+            pausedAt: new Date(pausedAt).toISOString(),
+            resumedAt: pause.resumedAt ? new Date(resumedAt).toISOString() : null,
+            // Wall-clock offset from the start of the recording.
+            offsetMs: pausedAt - startedAt,
+            durationMs,
+            // Position in the recorded media, which has no paused segments.
+            mediaOffsetMs: pausedAt - startedAt - pausedSoFarMs,
+        });
+        pausedSoFarMs += durationMs;
+    }
+
+    return {
+        startedAt: new Date(startedAt).toISOString(),
+        endedAt: new Date(endedAt).toISOString(),
+        pauses,
+    };
+}
+
+/**
+ * The backend ids the timeline is filed under. The ledger record wins: it is keyed by
+ * the attempt and keeps the ids after the meeting closes and its live meeting info is
+ * dropped, which usually happens before recording-ended. `fallback` (the live ids)
+ * only covers a record written before the ids were known.
+ */
+export function pauseTimelineIds(record, fallback = {}) {
+    return {
+        recordingId: record?.recordingId || fallback?.recordingId || null,
+        sdkUploadId: record?.sdkUploadId || fallback?.sdkUploadId || null,
+    };
+}
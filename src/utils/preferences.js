@@ -0,0 +1,107 @@
+import { EventEmitter } from 'events';
+import * as fs from 'fs';
+import * as path from 'path';
+import logger from './logger';
+
+/**
+ * User preferences edited from the settings window, persisted as one JSON file.
+ *
+ * Every key has a default and a normalizer; unknown keys and invalid values are
+ * dropped, so callers can trust whatever `get()` returns. `set()` emits `change`
+ * with the full preferences and the list of keys that actually changed.
+ */
+
+function clampInt(min, max) {
+    return (value, fallback) => {
+        const n = Number(value);
+        if (!Number.isFinite(n)) return fallback;
+        return Math.max(min, Math.min(max, Math.round(n)));
+    };
+}
+
+function oneOf(...allowed) {
+    return (value, fallback) => (allowed.includes(value) ? value : fallback);
+}
+
+function trimmedString(maxLength) {
+    return (value, fallback) =>
+        typeof value === 'string' ? value.trim().slice(0, maxLength) : fallback;
+}
+
+const SCHEMA = {
+    // Meeting popup countdown; 0 keeps the popup open until the user answers.
+    popupCountdownSeconds: { default: 0, normalize: clampInt(0, 300) },
+    // What happens when the countdown runs out.
+    popupCountdownAction: { default: 'record', normalize: oneOf('record', 'decline') },
+    // Recording safeguards (see recording-guard.js); 0 disables the check.
+    maxRecordingMinutes: { default: 240, normalize: clampInt(0, 24 * 60) },
+    idleStopMinutes: { default: 60, normalize: clampInt(0, 8 * 60) },
+    // Local .ics file or folder used to label meetings (see calendar-ics.js); '' = off.
+    calendarPath: { default: '', normalize: trimmedString(1024) },
+};
+
+export const PREFERENCE_DEFAULTS = Object.freeze(
+    Object.fromEntries(Object.entries(SCHEMA).map(([key, spec]) => [key, spec.default])),
+);
+
+function normalize(raw, base) {
+    const out = { ...base };
+    if (!raw || typeof raw !== 'object') return out;
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        if (raw[key] !== undefined) out[key] = spec.normalize(raw[key], base[key]);
+    }
+    return out;
+}
+
+class Preferences extends EventEmitter {
+    constructor({ filePath }) {
+        super();
+        this.filePath = filePath;
+        this.values = null;
+    }
+
+    getAll() {
+        if (this.values) return { ...this.values };
+        try {
+            const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.values = normalize(raw, PREFERENCE_DEFAULTS);
+        } catch (e) {
+            if (e?.code !== 'ENOENT') {
+                logger.warn('[prefs] failed to read preferences, using defaults', {
+                    error: e?.message,
+                });
+            }
+            this.values = { ...PREFERENCE_DEFAULTS };
+        }
+        return { ...this.values };
+    }
+
+    get(key) {
+        return this.getAll()[key];
+    }
+
+    set(patch) {
+        const prev = this.getAll();
+        const next = normalize(patch, prev);
+        const changed = Object.keys(next).filter((key) => next[key] !== prev[key]);
+        if (!changed.length) return next;
+
+        const tmp = `${this.filePath}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tmp, JSON.stringify(next, null, 2), 'utf8');
+        fs.renameSync(tmp, this.filePath);
+        this.values = next;
+
+        logger.info('[prefs] preferences updated', {
+            changed: Object.fromEntries(changed.map((key) => [key, next[key]])),
+        });
+        try {
+            this.emit('change', { ...next }, changed);
+        } catch (e) {
+            logger.warn('[prefs] change listener failed', e);
+        }
+        return { ...next };
+    }
+}
+
+export default Preferences;
@@ -0,0 +1,123 @@
+import { EventEmitter } from 'events';
+import logger from './logger';
+
+/**
+ * Safeguards for a recording that nobody is attending to.
+ *
+ * While a recording is active the guard checks, once a minute, how long it has been
+ * running and how long the system has been idle. Crossing a limit emits `warning`
+ * with `{ reason, stopAt }`; unless `keep()` is called within the grace period, it then
+ * emits `auto-stop` with `{ reason }`. Limits of 0 are disabled.
+ */
+
+export const GuardReason = Object.freeze({
+    MAX_DURATION: 'max-duration',
+    IDLE: 'idle',
+});
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const WARNING_GRACE_MS = 2 * 60 * 1000;
+// "Keep recording" silences the same warning for this long.
+const KEEP_SNOOZE_MS = 30 * 60 * 1000;
+
+class RecordingGuard extends EventEmitter {
+    constructor({
+        getIdleSeconds,
+        checkIntervalMs = CHECK_INTERVAL_MS,
+        warningGraceMs = WARNING_GRACE_MS,
+    } = {}) {
+        super();
+        this.getIdleSeconds = getIdleSeconds;
+        this.checkIntervalMs = checkIntervalMs;
+        this.warningGraceMs = warningGraceMs;
+        this.maxDurationMs = 0;
+        this.idleMs = 0;
+
+        this.startedAt = null;
+        this.interval = null;
+        this.pending = null; // { reason, stopAt, timer }
+        this.snoozedUntil = {};
+    }
+
+    get active() {
+        return this.startedAt !== null;
+    }
+
+    configure({ maxDurationMinutes = 0, idleMinutes = 0 } = {}) {
+        this.maxDurationMs = Math.max(0, Number(maxDurationMinutes) || 0) * 60 * 1000;
+        this.idleMs = Math.max(0, Number(idleMinutes) || 0) * 60 * 1000;
+        if (this.active) this._check();
+    }
+
+    start(startedAt = Date.now()) {
+        this.stop();
+        this.startedAt = startedAt;
+        this.interval = setInterval(() => this._check(), this.checkIntervalMs);
+        this.interval.unref?.();
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        this._clearPending();
+        this.startedAt = null;
+        this.snoozedUntil = {};
+    }
+
+    /** The user asked to keep recording after a warning. */
+    keep() {
+        if (!this.pending) return;
+        const { reason } = this.pending;
+        logger.info('[guard] user chose to keep recording', { reason });
+        this.snoozedUntil[reason] = Date.now() + KEEP_SNOOZE_MS;
+        this._clearPending();
+    }
+
+    _check() {
+        if (!this.active || this.pending) return;
+        const now = Date.now();
+        const elapsedMs = now - this.startedAt;
+
+        if (this.maxDurationMs && elapsedMs >= this.maxDurationMs) {
+            this._warn(GuardReason.MAX_DURATION, { elapsedMs });
+            return;
+        }
+
+        if (this.idleMs) {
+            let idleMs = 0;
+            try {
+                idleMs = (Number(this.getIdleSeconds?.()) || 0) * 1000;
+            } catch (e) {
+                logger.warn('[guard] failed to read system idle time', { error: e?.message });
+            }
+            if (idleMs >= this.idleMs) {
+                this._warn(GuardReason.IDLE, { elapsedMs, idleMs });
+            }
+        }
+    }
+
+    _warn(reason, details) {
+        if ((this.snoozedUntil[reason] || 0) > Date.now()) return;
+
+        const stopAt = Date.now() + this.warningGraceMs;
+        const timer = setTimeout(() => {
+            this.pending = null;
+            logger.warn('[guard] no response to warning, auto-stopping', { reason, ...details });
+            this.emit('auto-stop', { reason, ...details });
+        }, this.warningGraceMs);
+        timer.unref?.();
+        this.pending = { reason, stopAt, timer };
+
+        logger.warn('[guard] recording safeguard triggered', { reason, stopAt, ...details });
+        this.emit('warning', { reason, stopAt, ...details });
+    }
+
+    _clearPending() {
+        if (this.pending?.timer) clearTimeout(this.pending.timer);
+        this.pending = null;
+    }
+}
+
+export default RecordingGuard;
@@ -0,0 +1,104 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import logger from './logger';
+
+/**
+ * Append-only local history of recording sessions.
+ *
+ * Every update to a session appends its full record as one JSON line; reading folds
+ * the file so the last line for each `id` wins. Nothing is ever rewritten in place,
+ * so a crash mid-write can at worst lose the final (truncated) line. When the file
+ * grows past MAX_LINES it is compacted to the latest record per session.
+ */
+
+const MAX_SESSIONS = 200;
+const MAX_LINES = 2000;
+
+class RecordingLedger {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+        this.sessions = new Map(); // id -> latest record, in insertion order
+        this.lineCount = 0;
+        this.loaded = false;
+    }
+
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        let raw = '';
+        try {
+            raw = fs.readFileSync(this.filePath, 'utf8');
+        } catch (e) {
+            if (e?.code !== 'ENOENT') {
+                logger.warn('[ledger] failed to read recording ledger', { error: e?.message });
+            }
+            return;
+        }
+
+        for (const line of raw.split('\n')) {
+            if (!line.trim()) continue;
+            this.lineCount += 1;
+            try {
+                const record = JSON.parse(line);
+                if (record && typeof record.id === 'string') this._remember(record);
+            } catch {
+                // ignore torn/garbled lines (e.g. a crash mid-append)
+            }
+        }
+    }
+
+    /** Merge `patch` into the session's latest record and append the result. */
+    record(id, patch = {}) {
+        if (!id) return null;
+        this.load();
+
+        const prev = this.sessions.get(id) || { id, createdAt: Date.now() };
+        const next = { ...prev, ...patch, id, updatedAt: Date.now() };
+        this._remember(next);
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, `${JSON.stringify(next)}\n`, 'utf8');
+            this.lineCount += 1;
+            if (this.lineCount > MAX_LINES) this._compact();
+        } catch (e) {
+            logger.warn('[ledger] failed to append recording ledger', {
+                id,
+                error: e?.message,
+            });
+        }
+        return next;
+    }
+
+    get(id) {
+        this.load();
+        return this.sessions.get(id) || null;
+    }
+
+    /** Most recent sessions first. */
+    list({ limit = 10 } = {}) {
+        this.load();
+        return Array.from(this.sessions.values()).reverse().slice(0, limit);
+    }
+
+    _remember(record) {
+        // Re-insert so Map order tracks the most recent update.
+        this.sessions.delete(record.id);
+        this.sessions.set(record.id, record);
+        while (this.sessions.size > MAX_SESSIONS) {
+            this.sessions.delete(this.sessions.keys().next().value);
+        }
+    }
+
+    _compact() {
+        const tmp = `${this.filePath}.tmp`;
+        const lines = Array.from(this.sessions.values()).map((r) => JSON.stringify(r));
+        fs.writeFileSync(tmp, `${lines.join('\n')}\n`, 'utf8');
+        fs.renameSync(tmp, this.filePath);
+        this.lineCount = lines.length;
+        logger.info('[ledger] compacted recording ledger', { sessions: lines.length });
+    }
+}
+
+export default RecordingLedger;
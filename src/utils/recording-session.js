@@ -0,0 +1,214 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import logger from './logger';
+
+/**
+ * Recording session state machine for the main process.
+ *
+ * One session tracks one meeting window from detection to the end of its upload.
+ * Each start attempt within it gets its own `attemptId`, which is what the local
+ * recording ledger keys on.
+ *
+ * Every state change goes through `transition()`, which rejects moves that are not
+ * listed in TRANSITIONS, appends to a bounded history, and emits a single `change`
+ * event with a plain snapshot. The tray, popups and debug controls all render from
+ * that snapshot instead of reading their own flags.
+ */
+
+export const SessionState = Object.freeze({
+    IDLE: 'idle',
+    DETECTED: 'detected',
+    PROMPTING: 'prompting',
+    STARTING: 'starting',
+    RECORDING: 'recording',
+    PAUSED: 'paused',
+    STOPPING: 'stopping',
+    UPLOADING: 'uploading',
+    ENDED: 'ended',
+    FAILED: 'failed',
+});
+
+const S = SessionState;
+
+// Allowed `from -> to` moves. Self-transitions are never allowed; a new meeting
+// window replaces the session via `detect()` instead.
+const TRANSITIONS = {
+    [S.IDLE]: [S.DETECTED],
+    [S.DETECTED]: [S.PROMPTING, S.STARTING, S.IDLE],
+    [S.PROMPTING]: [S.DETECTED, S.STARTING, S.IDLE],
+    [S.STARTING]: [S.RECORDING, S.FAILED, S.IDLE],
+    [S.RECORDING]: [S.PAUSED, S.STOPPING, S.UPLOADING, S.ENDED, S.FAILED, S.IDLE],
+    [S.PAUSED]: [S.RECORDING, S.STOPPING, S.UPLOADING, S.ENDED, S.FAILED, S.IDLE],
+    [S.STOPPING]: [S.UPLOADING, S.ENDED, S.FAILED, S.IDLE],
+    [S.UPLOADING]: [S.ENDED, S.FAILED, S.IDLE],
+    [S.ENDED]: [S.PROMPTING, S.STARTING, S.IDLE],
+    [S.FAILED]: [S.DETECTED, S.PROMPTING, S.STARTING, S.IDLE],
+};
+
+// States in which the SDK is (or is about to be) capturing the meeting window.
+const CAPTURE_STATES = new Set([S.STARTING, S.RECORDING, S.PAUSED, S.STOPPING]);
+
+// Capture states plus UPLOADING: the attempt hasn't been finished by recording-ended yet,
+// so its windowId and attemptId must survive until it has.
+const IN_FLIGHT_STATES = new Set([...CAPTURE_STATES, S.UPLOADING]);
+
+const MAX_HISTORY = 100;
+
+class RecordingSession extends EventEmitter {
+    constructor() {
+        super();
+        this.state = S.IDLE;
+        this.windowId = null;
+        this.attemptId = null;
+        this.since = Date.now();
+        this.reason = null;
+        this.stoppedByUser = false;
+        this.history = [];
+    }
+
+    canTransition(next) {
+        return (TRANSITIONS[this.state] || []).includes(next);
+    }
+
+    /**
+     * Move to `next` if allowed. Returns false (and logs) when the move is rejected,
+     * so callers can treat a rejected transition as "someone else got there first".
+     */
+    transition(next, { reason = null, byUser = false, error = null } = {}) {
+        if (!this.canTransition(next)) {
+            logger.info('[session] transition rejected', {
+                from: this.state,
+                to: next,
+                reason,
+                windowId: this.windowId,
+            });
+            return false;
+        }
+        if (next === S.STOPPING) this.stoppedByUser = Boolean(byUser);
+        if (next === S.STARTING) {
+            this.stoppedByUser = false;
+            this.attemptId = crypto.randomUUID();
+        }
+        this._apply(next, { reason, error });
+        return true;
+    }
+
+    /**
+     * Start a fresh session for a newly detected meeting window. Refused while the
+     * current attempt is in flight, so a second detection can't clobber it.
+     */
+    detect(windowId, { reason = 'meeting-detected' } = {}) {
+        if (this.isInFlight()) {
+            logger.info('[session] detect rejected (session is in flight)', {
+                state: this.state,
+                windowId: this.windowId,
+                detectedWindowId: windowId ?? null,
+            });
+            return false;
+        }
+        this.windowId = windowId ?? null;
+        this.attemptId = null;
+        this.stoppedByUser = false;
+        this._apply(S.DETECTED, { reason });
+        return true;
+    }
+
+    /**
+     * Drop the session entirely (meeting gone, logout, ...). Refused while UPLOADING:
+     * recording-ended still needs the attemptId, and ends the attempt itself. Returns
+     * false when refused.
+     */
+    reset(reason = null) {
+        if (this.state === S.UPLOADING) {
+            logger.info('[session] reset rejected (upload pending)', {
+                reason,
+                windowId: this.windowId,
+                attemptId: this.attemptId,
+            });
+            return false;
+        }
+        if (this.state === S.IDLE && !this.windowId) return true;
+        this.windowId = null;
+        this.attemptId = null;
+        this.stoppedByUser = false;
+        this._apply(S.IDLE, { reason });
+        return true;
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    isCapturing() {
+        return CAPTURE_STATES.has(this.state);
+    }
+
+    // Capturing, or stopped and waiting for recording-ended to finish the attempt.
+    isInFlight() {
+        return IN_FLIGHT_STATES.has(this.state);
+    }
+
+    isRecording() {
+        return this.state === S.RECORDING || this.state === S.PAUSED;
+    }
+
+    isPaused() {
+        return this.state === S.PAUSED;
+    }
+
+    // The user has asked for this meeting to be recorded and we haven't stopped yet.
+    wantsToRecord() {
+        return this.state === S.STARTING || this.isRecording();
+    }
+
+    getHistory() {
+        return this.history.slice();
+    }
+
+    snapshot() {
+        return {
+            state: this.state,
+            windowId: this.windowId,
+            attemptId: this.attemptId,
+            since: this.since,
+            reason: this.reason,
+            recording: this.isRecording(),
+            paused: this.isPaused(),
+        };
+    }
+
+    _apply(next, { reason = null, error = null } = {}) {
+        const prev = this.state;
+        const at = Date.now();
+        this.state = next;
+        this.since = at;
+        this.reason = reason;
+
+        const entry = {
+            from: prev,
+            to: next,
+            reason,
+            windowId: this.windowId,
+            attemptId: this.attemptId,
+            at,
+        };
+        if (error) entry.error = error?.message || String(error);
+        this.history.push(entry);
+        if (this.history.length > MAX_HISTORY) {
+            this.history.splice(0, this.history.length - MAX_HISTORY);
+        }
+
+        logger.info(`[session] ${prev} -> ${next}`, {
+            reason,
+            windowId: this.windowId,
+        });
+
+        try {
+            this.emit('change', this.snapshot(), entry);
+        } catch (e) {
+            logger.warn('[session] change listener failed', e);
+        }
+    }
+}
+
+export default RecordingSession;
@@ -0,0 +1,76 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import logger from './logger';
+
+/**
+ * Single-file checkpoint of the recording session that is currently in flight.
+ *
+ * Written (tmp file + rename) whenever the session or its meeting data changes and
+ * removed once the session settles. A checkpoint still on disk at startup means the
+ * previous process died mid-recording; see `takeOrphan()`.
+ */
+
+const CHECKPOINT_VERSION = 1;
+
+class SessionCheckpoint {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+        this.lastWritten = null; // serialized payload, to skip identical rewrites
+    }
+
+    write(data) {
+        const serialized = JSON.stringify({ version: CHECKPOINT_VERSION, ...data });
+        if (serialized === this.lastWritten) return;
+
+        const tmp = `${this.filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tmp, serialized, 'utf8');
+            fs.renameSync(tmp, this.filePath);
+            this.lastWritten = serialized;
+        } catch (e) {
+            logger.warn('[checkpoint] failed to write session checkpoint', { error: e?.message });
+        }
+    }
+
+    clear() {
+        this.lastWritten = null;
+        try {
+            fs.unlinkSync(this.filePath);
+        } catch (e) {
+            if (e?.code !== 'ENOENT') {
+                logger.warn('[checkpoint] failed to remove session checkpoint', {
+                    error: e?.message,
+                });
+            }
+        }
+    }
+
+    read() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            if (!data || data.version !== CHECKPOINT_VERSION) return null;
+            return data;
+        } catch (e) {
+            if (e?.code !== 'ENOENT') {
+                logger.warn('[checkpoint] failed to read session checkpoint', {
+                    error: e?.message,
+                });
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Read the checkpoint left behind by a previous process and remove it, so the
+     * current process starts from a clean slate. Must run before anything in this
+     * process can write a checkpoint of its own.
+     */
+    takeOrphan() {
+        const data = this.read();
+        this.clear();
+        return data;
+    }
+}
+
+export default SessionCheckpoint;
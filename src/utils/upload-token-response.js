@@ -0,0 +1,134 @@
+/**
+ * Normalizes the backend's upload-token response into
+ * `{ uploadToken, recordingId, sdkUploadId, expiresAt, shape, missingOptional }`.
+ *
+ * Shapes the backend has returned (each field may be snake_case or camelCase):
+ *
+ *   nested:  { uploadToken: { upload_token: 'tok', recording_id: 'rec', sdk_upload_id: 'up',
+ *                             expires_at: '2026-01-01T00:00:00Z' } }
+ *   flat:    { upload_token: 'tok', recording_id: 'rec', sdk_upload_id: 'up', expires_in: 3600 }
+ *   string:  { uploadToken: 'tok', recordingId: 'rec', sdkUploadId: 'up' }
+ *
+ * In the nested shape, ids may also sit next to `uploadToken` at the top level.
+ * `uploadToken` is required. `recordingId` and `sdkUploadId` are needed to register
+ * the meeting URL later, so a response without them is accepted but reported in
+ * `missingOptional`. Anything else malformed throws UploadTokenResponseError.
+ *
+ * Every shape (and each way of rejecting one) has a fixture in test/fixtures/upload-token,
+ * checked by `npm test`; add one there when the backend starts returning something new.
+ */
+
+export class UploadTokenResponseError extends Error {
+    constructor({ missing = [], invalid = [], shape = null, keys = [] }) {
+        const problems = [
+            missing.length ? `missing ${missing.join(', ')}` : null,
+            invalid.length ? `invalid ${invalid.join(', ')}` : null,
+        ].filter(Boolean);
+        super(
+            `Invalid upload token response (${problems.join('; ')}); ` +
+                `shape=${shape ?? 'unknown'}, keys=[${keys.join(', ')}]`,
+        );
+        this.name = 'UploadTokenResponseError';
+        this.missing = missing;
+        this.invalid = invalid;
+        this.shape = shape;
+        this.retryable = false;
+    }
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// First defined value among `keys` in the given objects, in order.
+function pick(sources, ...keys) {
+    for (const source of sources) {
+        if (!isPlainObject(source)) continue;
+        for (const key of keys) {
+            if (source[key] !== undefined && source[key] !== null) return source[key];
+        }
+    }
+    return undefined;
+}
+
+function parseExpiry(sources, receivedAt) {
+    const at = pick(sources, 'expires_at', 'expiresAt');
+    if (at !== undefined) {
+        const ms = typeof at === 'number' ? (at < 1e12 ? at * 1000 : at) : Date.parse(at);
+        return Number.isFinite(ms) ? ms : NaN;
+    }
+    const inSeconds = pick(sources, 'expires_in', 'expiresIn');
+    if (inSeconds !== undefined) {
+        const seconds = Number(inSeconds);
+        return Number.isFinite(seconds) && seconds > 0 ? receivedAt + seconds * 1000 : NaN;
+    }
+    return null;
+}
+
+export function parseUploadTokenResponse(data, { receivedAt = Date.now() } = {}) {
+    const keys = isPlainObject(data) ? Object.keys(data) : [];
+    if (!isPlainObject(data)) {
+        throw new UploadTokenResponseError({ invalid: ['body'], keys });
+    }
+
+    let shape;
+    let sources;
+    if (isPlainObject(data.uploadToken)) {
+        shape = 'nested';
+        sources = [data.uploadToken, data];
+    } else if (data.uploadToken !== undefined && data.uploadToken !== null) {
+        shape = 'string';
+        sources = [data];
+    } else {
+        shape = 'flat';
+        sources = [data];
+    }
+
+    const missing = [];
+    const invalid = [];
+    const readString = (field, fieldSources, ...aliases) => {
+        const value = pick(fieldSources, ...aliases);
+        if (value === undefined) return null;
+        if (typeof value !== 'string' || !value.trim()) {
+            invalid.push(field);
+            return null;
+        }
+        return value.trim();
+    };
+
+    // In the nested shape the top-level `uploadToken` is the container, not the token.
+    const uploadToken = readString(
+        'uploadToken',
+        shape === 'nested' ? [data.uploadToken] : [data],
+        'upload_token',
+        'uploadToken',
+    );
+    const recordingId = readString('recordingId', sources, 'recording_id', 'recordingId');
+    const sdkUploadId = readString('sdkUploadId', sources, 'sdk_upload_id', 'sdkUploadId');
+    if (!uploadToken && !invalid.includes('uploadToken')) missing.push('uploadToken');
+
+    const expiresAt = parseExpiry(sources, receivedAt);
+    if (Number.isNaN(expiresAt)) invalid.push('expiresAt');
+
+    if (missing.length || invalid.length) {
+        throw new UploadTokenResponseError({ missing, invalid, shape, keys });
+    }
+
+    return {
+        uploadToken,
+        recordingId,
+        sdkUploadId,
+        expiresAt,
+        shape,
+        missingOptional: [
+            ...(recordingId ? [] : ['recordingId']),
+            ...(sdkUploadId ? [] : ['sdkUploadId']),
+        ],
+    };
+}
+
+/** Enough of the token to correlate logs without leaking it. */
+export function redactUploadToken(token) {
+    if (typeof token !== 'string' || !token) return null;
+    return token.length <= 8 ? '***' : `${token.slice(0, 4)}…${token.slice(-2)}`;
+}
@@ -0,0 +1,169 @@
+import { EventEmitter } from 'events';
+import logger from './logger';
+
+/**
+ * Per-recording upload state, fed by the Recall SDK upload events.
+ *
+ * The SDK reports uploads by meeting window id, and an upload keeps going after the
+ * recording session has moved on (ended, or started on another meeting), so this
+ * lives next to RecordingSession rather than inside it. Every update emits `change`
+ * with a copy of the upload record.
+ */
+
+export const UploadStatus = Object.freeze({
+    UPLOADING: 'uploading',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+});
+
+// No progress event for this long means the SDK has given up without telling us.
+const STALL_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_FINISHED = 20;
+
+class UploadTracker extends EventEmitter {
+    constructor({ stallTimeoutMs = STALL_TIMEOUT_MS } = {}) {
+        super();
+        this.stallTimeoutMs = stallTimeoutMs;
+        this.uploads = new Map(); // windowId -> upload record
+        this.stallTimers = new Map();
+    }
+
+    /** Start tracking the upload for a recording that just ended (or a retry of it). */
+    begin(windowId, { attemptId = null, recordingId = null, platform = null } = {}) {
+        if (!windowId) return null;
+        const prev = this.uploads.get(windowId);
+        const isRetry = prev?.status === UploadStatus.FAILED && prev.attemptId === attemptId;
+        const upload = {
+            windowId,
+            attemptId,
+            recordingId,
+            platform,
+            status: UploadStatus.UPLOADING,
+            progress: 0,
+            error: null,
+            retries: isRetry ? prev.retries + 1 : 0,
+            startedAt: Date.now(),
+            updatedAt: Date.now(),
+            completedAt: null,
+        };
+        this.uploads.delete(windowId);
+        this.uploads.set(windowId, upload);
+        this._prune();
+        return this._update(upload);
+    }
+
+    progress(windowId, progress) {
+        const upload = this.uploads.get(windowId);
+        if (!upload || upload.status === UploadStatus.COMPLETED) return null;
+
+        const pct = Math.max(0, Math.min(100, Math.round(Number(progress) || 0)));
+        if (pct >= 100) return this.complete(windowId);
+        // Same percentage again: nothing to report, but the upload is still alive.
+        if (pct === upload.progress && upload.status === UploadStatus.UPLOADING) {
+            this._armStallTimer(upload);
+            return { ...upload };
+        }
+        // A progress event after a failure means the SDK retried on its own.
+        return this._update({
+            ...upload,
+            status: UploadStatus.UPLOADING,
+            progress: pct,
+            error: null,
+        });
+    }
+
+    complete(windowId) {
+        const upload = this.uploads.get(windowId);
+        if (!upload || upload.status === UploadStatus.COMPLETED) return null;
+        return this._update({
+            ...upload,
+            status: UploadStatus.COMPLETED,
+            progress: 100,
+            error: null,
+            completedAt: Date.now(),
+        });
+    }
+
+    fail(windowId, error) {
+        const upload = this.uploads.get(windowId);
+        if (!upload || upload.status !== UploadStatus.UPLOADING) return null;
+        return this._update({
+            ...upload,
+            status: UploadStatus.FAILED,
+            error: error?.message || String(error || 'Upload failed'),
+        });
+    }
+
+    get(windowId) {
+        const upload = this.uploads.get(windowId);
+        return upload ? { ...upload } : null;
+    }
+
+    list({ status = null } = {}) {
+        return Array.from(this.uploads.values())
+            .filter((u) => !status || u.status === status)
+            .map((u) => ({ ...u }));
+    }
+
+    _update(upload) {
+        upload.updatedAt = Date.now();
+        this.uploads.set(upload.windowId, upload);
+
+        if (upload.status === UploadStatus.UPLOADING) {
+            this._armStallTimer(upload);
+        } else {
+            this._clearStallTimer(upload.windowId);
+        }
+
+        logger.info('[upload] state', {
+            windowId: upload.windowId,
+            recordingId: upload.recordingId,
+            status: upload.status,
+            progress: upload.progress,
+            retries: upload.retries,
+            error: upload.error,
+        });
+
+        const copy = { ...upload };
+        try {
+            this.emit('change', copy);
+        } catch (e) {
+            logger.warn('[upload] change listener failed', e);
+        }
+        return copy;
+    }
+
+    _armStallTimer(upload) {
+        this._clearStallTimer(upload.windowId);
+        const timer = setTimeout(() => {
+            this.stallTimers.delete(upload.windowId);
+            logger.warn('[upload] no upload progress, treating upload as failed', {
+                windowId: upload.windowId,
+                progress: this.uploads.get(upload.windowId)?.progress ?? null,
+            });
+            this.fail(upload.windowId, new Error('Upload stalled'));
+        }, this.stallTimeoutMs);
+        timer.unref?.();
+        this.stallTimers.set(upload.windowId, timer);
+    }
+
+    _clearStallTimer(windowId) {
+        const timer = this.stallTimers.get(windowId);
+        if (timer) {
+            clearTimeout(timer);
+            this.stallTimers.delete(windowId);
+        }
+    }
+
+    // Keep every in-flight upload, but only the most recent finished ones.
+    _prune() {
+        const finished = Array.from(this.uploads.values()).filter(
+            (u) => u.status !== UploadStatus.UPLOADING,
+        );
+        for (const upload of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED))) {
+            this.uploads.delete(upload.windowId);
+        }
+    }
+}
+
+export default UploadTracker;
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiError, parseRetryAfter, retryDelayMs } from '../src/utils/api-error.js';
+
+const httpError = (status, extra = {}) =>
+    new ApiError({ endpoint: 'getUserProfile', status, ...extra });
+
+// fetch() failure whose undici cause carries the socket error code.
+const networkError = (socketCode) =>
+    new ApiError({
+        endpoint: 'registerMeetingUrl',
+        code: 'network',
+        cause: Object.assign(new TypeError('fetch failed'), { cause: { code: socketCode } }),
+    });
+
+// Deterministic jitter: the top of the backoff window.
+const maxJitter = () => 1;
+
+test('retryable statuses: no response, 408, 429 and 5xx', () => {
+    for (const status of [408, 429, 500, 502, 503, 504]) {
+        assert.equal(httpError(status).retryable, true, String(status));
+    }
+    for (const status of [400, 401, 403, 404, 409, 422]) {
+        assert.equal(httpError(status).retryable, false, String(status));
+    }
+    assert.equal(new ApiError({ endpoint: 'getUserProfile', code: 'timeout' }).retryable, true);
+    assert.equal(new ApiError({ endpoint: 'getUserProfile', code: 'cancelled' }).retryable, false);
+});
+
+test('a call without a token is a non-retryable 401', () => {
+    const error = new ApiError({
+        endpoint: 'getUploadToken',
+        status: 401,
+        code: 'no_token',
+        body: 'Missing auth token (call setAuthToken first)',
+    });
+    assert.equal(error.retryable, false);
+    assert.equal(
+        error.message,
+        'Failed to get upload token (401): Missing auth token (call setAuthToken first)',
+    );
+    assert.equal(retryDelayMs(error, { attempt: 1, idempotent: true }), null);
+});
+
+test('idempotent calls back off exponentially up to the attempt limit', () => {
+    const error = httpError(502);
+    const delay = (attempt) =>
+        retryDelayMs(error, { attempt, idempotent: true, random: maxJitter });
+
+    assert.equal(delay(1), 500);
+    assert.equal(delay(2), 1000);
+    assert.equal(delay(3), null);
+    // Jitter stays in the upper half of the window.
+    assert.equal(retryDelayMs(error, { attempt: 2, idempotent: true, random: () => 0 }), 500);
+});
+
+test('non-idempotent calls only retry when the server cannot have acted', () => {
+    const delay = (error) =>
+        retryDelayMs(error, { attempt: 1, idempotent: false, random: maxJitter });
+
+    assert.equal(delay(httpError(429)), 500);
+    assert.equal(delay(httpError(503)), 500);
+    assert.equal(delay(networkError('ECONNREFUSED')), 500);
+
+    assert.equal(delay(httpError(500)), null);
+    assert.equal(delay(httpError(502)), null);
+    assert.equal(delay(networkError('ECONNRESET')), null);
+    assert.equal(delay(new ApiError({ endpoint: 'registerMeetingUrl', code: 'timeout' })), null);
+});
+
+test('Retry-After replaces the backoff, and a long one is left to the caller', () => {
+    const delay = (retryAfterMs) =>
+        retryDelayMs(httpError(429, { retryAfterMs }), { attempt: 1, idempotent: true });
+
+    assert.equal(delay(0), 0);
+    assert.equal(delay(30_000), 30_000);
+    assert.equal(delay(30_001), null);
+});
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+    const now = Date.parse('2026-03-02T10:00:00Z');
+
+    assert.equal(parseRetryAfter('120', now), 120_000);
+    assert.equal(parseRetryAfter('0', now), 0);
+    assert.equal(parseRetryAfter('Mon, 02 Mar 2026 10:00:45 GMT', now), 45_000);
+    // A date in the past means "now".
+    assert.equal(parseRetryAfter('Mon, 02 Mar 2026 09:00:00 GMT', now), 0);
+    assert.equal(parseRetryAfter('soon', now), null);
+    assert.equal(parseRetryAfter(null, now), null);
+});
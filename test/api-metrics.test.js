@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ApiMetrics from '../src/utils/api-metrics.js';
+
+function metricsWith(durations, endpoint = 'getUserProfile') {
+    const metrics = new ApiMetrics();
+    for (const durationMs of durations) {
+        metrics.record(endpoint, { ok: true, status: 200, durationMs });
+    }
+    return metrics.summary().endpoints[endpoint];
+}
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+test('percentiles use the nearest rank on sorted samples', () => {
+    // Recorded out of order on purpose.
+    const shuffled = range(1, 100).sort((a, b) => (a % 7) - (b % 7) || b - a);
+    const summary = metricsWith(shuffled);
+    assert.equal(summary.p50Ms, 50);
+    assert.equal(summary.p95Ms, 95);
+    assert.equal(summary.maxMs, 100);
+});
+
+test('small sample counts round up to an actual sample', () => {
+    assert.deepEqual(
+        ['p50Ms', 'p95Ms', 'maxMs'].map((k) => metricsWith([30, 10, 20])[k]),
+        [20, 30, 30],
+    );
+    assert.deepEqual(
+        ['p50Ms', 'p95Ms', 'maxMs'].map((k) => metricsWith([42])[k]),
+        [42, 42, 42],
+    );
+});
+
+test('percentiles only cover the last 200 attempts', () => {
+    const summary = metricsWith(range(1, 250));
+    assert.equal(summary.count, 250);
+    assert.equal(summary.samples, 200);
+    // Samples 51..250 remain.
+    assert.equal(summary.p50Ms, 150);
+    assert.equal(summary.p95Ms, 240);
+    assert.equal(summary.maxMs, 250);
+});
+
+test('durations are rounded and never negative', () => {
+    const summary = metricsWith([-5, 10.4, 10.6]);
+    assert.equal(summary.p50Ms, 10);
+    assert.equal(summary.maxMs, 11);
+});
+
+test('failures are counted by status and by code', () => {
+    const metrics = new ApiMetrics();
+    metrics.record('getUploadToken', { ok: true, status: 200, durationMs: 100 });
+    metrics.record('getUploadToken', { ok: false, status: 503, durationMs: 50 });
+    metrics.record('getUploadToken', { ok: false, status: 503, durationMs: 50, attempt: 2 });
+    metrics.record('getUploadToken', { ok: false, code: 'timeout', durationMs: 60000, attempt: 3 });
+    metrics.record('getUploadToken', { ok: false, code: 'network', durationMs: 5 });
+
+    const summary = metrics.summary().endpoints.getUploadToken;
+    assert.equal(summary.count, 5);
+    assert.equal(summary.success, 1);
+    assert.equal(summary.failure, 4);
+    assert.deepEqual(summary.byStatus, { 503: 2 });
+    assert.equal(summary.timeouts, 1);
+    assert.equal(summary.networkErrors, 1);
+    assert.equal(summary.retries, 2);
+    assert.equal(summary.lastStatus, 'network');
+});
+
+test('an endpoint without samples has no percentiles', () => {
+    const metrics = new ApiMetrics();
+    assert.deepEqual(metrics.summary().endpoints, {});
+    metrics.record('getUserProfile', { ok: true, status: 200, durationMs: 1 });
+    metrics.reset();
+    assert.deepEqual(metrics.summary().endpoints, {});
+});
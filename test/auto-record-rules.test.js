@@ -0,0 +1,112 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import AutoRecordRules, {
+    AutoRecordAction,
+    normalizeRule,
+} from '../src/utils/auto-record-rules.js';
+
+const { ALWAYS, NEVER, ASK } = AutoRecordAction;
+
+// Monday 2 March 2026, local time.
+const MONDAY_10_30 = new Date(2026, 2, 2, 10, 30);
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-record-rules-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let fileCount = 0;
+function rulesFile() {
+    return path.join(tmpDir, `rules-${++fileCount}.json`);
+}
+
+function rulesWith(rules) {
+    const store = new AutoRecordRules({ filePath: rulesFile() });
+    store.setRules(rules);
+    return store;
+}
+
+test('the first enabled matching rule wins', () => {
+    const store = rulesWith([
+        { id: 'off', action: NEVER, enabled: false, platforms: ['zoom'] },
+        { id: 'zoom', action: ALWAYS, platforms: ['zoom'] },
+        { id: 'all', action: NEVER },
+    ]);
+
+    const zoom = store.evaluate({ platform: 'Zoom' }, MONDAY_10_30);
+    assert.equal(zoom.action, ALWAYS);
+    assert.equal(zoom.rule.id, 'zoom');
+
+    // Falls through to the catch-all with empty conditions.
+    assert.equal(store.evaluate({ platform: 'teams' }, MONDAY_10_30).rule.id, 'all');
+});
+
+test('no match asks the user', () => {
+    const store = rulesWith([{ action: ALWAYS, platforms: ['zoom'] }]);
+    assert.deepEqual(store.evaluate({ platform: 'google-meet' }, MONDAY_10_30), {
+        action: ASK,
+        rule: null,
+    });
+});
+
+test('URL patterns match host and path globs, never an unknown URL', () => {
+    const store = rulesWith([
+        { id: 'meet', action: NEVER, urlPatterns: ['meet.google.com/abc-*'] },
+        { id: 'zoom-host', action: ALWAYS, urlPatterns: ['https://*.zoom.us'] },
+    ]);
+    const at = (meetingUrl) => store.evaluate({ meetingUrl }, MONDAY_10_30).rule?.id ?? null;
+
+    assert.equal(at('https://meet.google.com/abc-defg-hij'), 'meet');
+    assert.equal(at('https://meet.google.com/xyz-defg-hij'), null);
+    // A bare host pattern matches any path on that host.
+    assert.equal(at('https://acme.zoom.us/j/123?pwd=x'), 'zoom-host');
+    assert.equal(at(null), null);
+    assert.equal(at('not a url'), null);
+});
+
+test('days and time windows, including one that wraps past midnight', () => {
+    const store = rulesWith([
+        { id: 'weekend', action: NEVER, days: [0, 6] },
+        { id: 'night', action: NEVER, timeStart: '22:00', timeEnd: '06:00' },
+        {
+            id: 'office',
+            action: ALWAYS,
+            days: [1, 2, 3, 4, 5],
+            timeStart: '09:00',
+            timeEnd: '17:00',
+        },
+    ]);
+    const at = (date) => store.evaluate({}, date).rule?.id ?? null;
+
+    assert.equal(at(MONDAY_10_30), 'office');
+    assert.equal(at(new Date(2026, 2, 2, 17, 0)), null); // end is exclusive
+    assert.equal(at(new Date(2026, 2, 2, 23, 15)), 'night');
+    assert.equal(at(new Date(2026, 2, 3, 5, 59)), 'night');
+    assert.equal(at(new Date(2026, 2, 7, 10, 30)), 'weekend');
+});
+
+test('normalizeRule rejects unknown actions and drops malformed conditions', () => {
+    assert.equal(normalizeRule({ action: 'sometimes' }), null);
+    assert.equal(normalizeRule(null), null);
+
+    const rule = normalizeRule({
+        id: 'r1',
+        action: 'ALWAYS',
+        platforms: [' Zoom ', 42, ''],
+        days: [1, 1, 7, '3'],
+        timeStart: '25:00',
+        timeEnd: '06:00',
+    });
+    assert.equal(rule.action, ALWAYS);
+    assert.deepEqual(rule.platforms, ['zoom']);
+    assert.deepEqual(rule.days, [1, 3]);
+    assert.equal(rule.timeStart, null);
+    assert.equal(rule.timeEnd, null);
+});
+
+test('a missing rules file falls back to skipping Slack huddles', () => {
+    const store = new AutoRecordRules({ filePath: rulesFile() });
+    assert.equal(store.evaluate({ platform: 'slack' }, MONDAY_10_30).action, NEVER);
+    assert.equal(store.evaluate({ platform: 'zoom' }, MONDAY_10_30).action, ASK);
+});
@@ -0,0 +1,139 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import IcsCalendar, { meetingUrlKey, parseIcs } from '../src/utils/calendar-ics.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-ics-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function ics(...events) {
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        ...events.flatMap((lines) => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+        'END:VCALENDAR',
+    ].join('\r\n');
+}
+
+let fileCount = 0;
+function calendarWith(text) {
+    const filePath = path.join(tmpDir, `calendar-${++fileCount}.ics`);
+    fs.writeFileSync(filePath, text, 'utf8');
+    const calendar = new IcsCalendar();
+    calendar.setSource(filePath);
+    return calendar;
+}
+
+function matchAt(calendar, iso, meetingUrl = null) {
+    const match = calendar.findEventForMeeting({ meetingUrl, at: Date.parse(iso) });
+    return match && { ...match, start: new Date(match.event.start).toISOString() };
+}
+
+test('parseIcs unfolds lines, unescapes text and collects conferencing links', () => {
+    const [event] = parseIcs(
+        ics([
+            'UID:standup-1',
+            'SUMMARY:Standup\\, daily',
+            'DTSTART:20260302T150000Z',
+            'DTEND:20260302T151500Z',
+            'ORGANIZER;CN="Doe, Jane":mailto:jane@example.com',
+            'ATTENDEE;CN=Sam:mailto:sam@example.com',
+            'DESCRIPTION:Join: https://acme.zoom.us/j/123456?pwd=abc\\nDial in',
+            ' : +1 555 0100',
+            'LOCATION:https://meet.google.com/abc-defg-hij',
+        ]),
+    );
+
+    assert.equal(event.uid, 'standup-1');
+    assert.equal(event.title, 'Standup, daily');
+    assert.equal(event.start, Date.parse('2026-03-02T15:00:00Z'));
+    assert.equal(event.end, Date.parse('2026-03-02T15:15:00Z'));
+    assert.deepEqual(event.organizer, { name: 'Doe, Jane', email: 'jane@example.com' });
+    assert.deepEqual(event.attendees, [{ name: 'Sam', email: 'sam@example.com' }]);
+    assert.deepEqual(event.urlKeys.sort(), ['meet.google.com/abc-defg-hij', 'zoom.us/j/123456']);
+    assert.equal(event.rrule, null);
+});
+
+test('parseIcs converts TZID times and skips all-day and cancelled events', () => {
+    const events = parseIcs(
+        ics(
+            ['UID:zoned', 'DTSTART;TZID=Europe/Berlin:20260302T100000'],
+            ['UID:all-day', 'DTSTART;VALUE=DATE:20260302'],
+            ['UID:cancelled', 'STATUS:CANCELLED', 'DTSTART:20260302T100000Z'],
+        ),
+    );
+
+    assert.deepEqual(
+        events.map((e) => e.uid),
+        ['zoned'],
+    );
+    assert.equal(events[0].start, Date.parse('2026-03-02T09:00:00Z'));
+    // No DTEND: 30 minutes.
+    assert.equal(events[0].end - events[0].start, 30 * 60 * 1000);
+});
+
+test('meetingUrlKey ignores query, trailing slash, www and zoom subdomains', () => {
+    assert.equal(meetingUrlKey('https://us02web.zoom.us/j/123/?pwd=x'), 'zoom.us/j/123');
+    assert.equal(meetingUrlKey('https://www.Example.com/Room%201'), 'example.com/room 1');
+    assert.equal(meetingUrlKey('not a url'), null);
+});
+
+test('weekly BYDAY recurrence keeps its wall-clock time across a DST change', () => {
+    const calendar = calendarWith(
+        ics([
+            'UID:sync',
+            'SUMMARY:Team sync',
+            'DTSTART;TZID=America/New_York:20260302T100000',
+            'DTEND;TZID=America/New_York:20260302T103000',
+            'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+        ]),
+    );
+
+    // Wednesday, still EST (UTC-5).
+    const wednesday = matchAt(calendar, '2026-03-04T15:05:00Z');
+    assert.equal(wednesday.matchedBy, 'time');
+    assert.equal(wednesday.start, '2026-03-04T15:00:00.000Z');
+    // Monday after the switch to EDT (UTC-4): still 10:00 local.
+    assert.equal(matchAt(calendar, '2026-03-09T14:05:00Z').start, '2026-03-09T14:00:00.000Z');
+    // Tuesday is not in BYDAY; before the first occurrence never matches.
+    assert.equal(matchAt(calendar, '2026-03-10T14:05:00Z'), null);
+    assert.equal(matchAt(calendar, '2026-02-23T15:05:00Z'), null);
+});
+
+test('daily recurrence honours INTERVAL and UNTIL', () => {
+    const calendar = calendarWith(
+        ics([
+            'UID:every-other-day',
+            'DTSTART:20260302T090000Z',
+            'DTEND:20260302T093000Z',
+            'RRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20260306T235959Z',
+        ]),
+    );
+
+    assert.equal(matchAt(calendar, '2026-03-04T09:10:00Z').start, '2026-03-04T09:00:00.000Z');
+    assert.equal(matchAt(calendar, '2026-03-05T09:10:00Z'), null);
+    assert.equal(matchAt(calendar, '2026-03-06T09:10:00Z').start, '2026-03-06T09:00:00.000Z');
+    assert.equal(matchAt(calendar, '2026-03-08T09:10:00Z'), null);
+});
+
+test('a URL match wins over time, and overlapping events are not guessed', () => {
+    const calendar = calendarWith(
+        ics(
+            [
+                'UID:zoom',
+                'DTSTART:20260302T150000Z',
+                'DTEND:20260302T160000Z',
+                'URL:https://acme.zoom.us/j/999',
+            ],
+            ['UID:other', 'DTSTART:20260302T150000Z', 'DTEND:20260302T160000Z'],
+        ),
+    );
+
+    const byUrl = matchAt(calendar, '2026-03-02T15:10:00Z', 'https://zoom.us/j/999?pwd=1');
+    assert.equal(byUrl.matchedBy, 'url');
+    assert.equal(byUrl.event.uid, 'zoom');
+
+    assert.equal(matchAt(calendar, '2026-03-02T15:10:00Z'), null);
+});
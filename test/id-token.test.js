@@ -0,0 +1,169 @@
+import { afterEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { IdTokenError, verifyIdToken } from '../src/utils/id-token.js';
+
+const ISSUER = 'https://auth.example.com/';
+const CLIENT_ID = 'desktop-client';
+const NOW = Date.parse('2026-03-02T10:00:00Z');
+const NOW_SEC = NOW / 1000;
+
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const rsaNext = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+const jwk = (pair, kid, alg) => ({
+    ...pair.publicKey.export({ format: 'jwk' }),
+    kid,
+    alg,
+    use: 'sig',
+});
+
+const b64 = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function sign(claims, { pair = rsa, kid = 'key-1', alg = 'RS256' } = {}) {
+    const data = `${b64({ alg, kid, typ: 'JWT' })}.${b64(claims)}`;
+    const key =
+        alg === 'ES256' ? { key: pair.privateKey, dsaEncoding: 'ieee-p1363' } : pair.privateKey;
+    return `${data}.${crypto.sign('sha256', Buffer.from(data), key).toString('base64url')}`;
+}
+
+function claims(overrides = {}) {
+    return {
+        iss: ISSUER,
+        aud: CLIENT_ID,
+        sub: 'auth0|user-1',
+        iat: NOW_SEC - 10,
+        exp: NOW_SEC + 3600,
+        nonce: 'nonce-1',
+        ...overrides,
+    };
+}
+
+// The JWKS cache is per URL, so each test serves its own.
+let jwksCount = 0;
+function serveJwks(keys) {
+    const jwksUri = `https://auth.example.com/jwks-${++jwksCount}.json`;
+    const served = { keys, fetches: 0 };
+    mock.method(globalThis, 'fetch', async (url) => {
+        assert.equal(url, jwksUri);
+        served.fetches += 1;
+        return new Response(JSON.stringify({ keys: served.keys }), { status: 200 });
+    });
+    const verify = (token, options = {}) =>
+        verifyIdToken(token, {
+            issuer: ISSUER,
+            audience: CLIENT_ID,
+            jwksUri,
+            now: NOW,
+            ...options,
+        });
+    return { served, verify };
+}
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+async function rejectsWith(promise, code) {
+    await assert.rejects(promise, (e) => {
+        assert.ok(e instanceof IdTokenError, e?.message);
+        assert.equal(e.code, code);
+        return true;
+    });
+}
+
+test('valid RS256 and ES256 tokens resolve with their claims', async () => {
+    const { verify } = serveJwks([jwk(rsa, 'key-1', 'RS256'), jwk(ec, 'key-ec', 'ES256')]);
+
+    assert.equal((await verify(sign(claims()), { nonce: 'nonce-1' })).sub, 'auth0|user-1');
+    const ecToken = sign(claims(), { pair: ec, kid: 'key-ec', alg: 'ES256' });
+    assert.equal((await verify(ecToken)).sub, 'auth0|user-1');
+});
+
+test('issuer, audience and authorized party must match', async () => {
+    const { verify } = serveJwks([jwk(rsa, 'key-1', 'RS256')]);
+
+    await rejectsWith(verify(sign(claims({ iss: 'https://evil.example.com/' }))), 'invalid_issuer');
+    await rejectsWith(verify(sign(claims({ aud: 'other-client' }))), 'invalid_audience');
+
+    // Several audiences: azp must name this client.
+    const multi = { aud: [CLIENT_ID, 'https://api.example.com'] };
+    assert.ok(await verify(sign(claims({ ...multi, azp: CLIENT_ID }))));
+    await rejectsWith(verify(sign(claims({ ...multi, azp: 'other-client' }))), 'invalid_audience');
+    await rejectsWith(verify(sign(claims(multi))), 'invalid_audience');
+});
+
+test('exp and iat are checked with 60s of clock skew', async () => {
+    const { verify } = serveJwks([jwk(rsa, 'key-1', 'RS256')]);
+
+    assert.ok(await verify(sign(claims({ exp: NOW_SEC - 60 }))));
+    await rejectsWith(verify(sign(claims({ exp: NOW_SEC - 61 }))), 'expired');
+    await rejectsWith(verify(sign(claims({ exp: undefined }))), 'expired');
+
+    assert.ok(await verify(sign(claims({ iat: NOW_SEC + 60 }))));
+    await rejectsWith(verify(sign(claims({ iat: NOW_SEC + 61 }))), 'invalid_iat');
+});
+
+test('nonce is checked only when the caller sent one', async () => {
+    const { verify } = serveJwks([jwk(rsa, 'key-1', 'RS256')]);
+
+    await rejectsWith(verify(sign(claims()), { nonce: 'nonce-2' }), 'invalid_nonce');
+    await rejectsWith(
+        verify(sign(claims({ nonce: undefined })), { nonce: 'nonce-1' }),
+        'invalid_nonce',
+    );
+    // Tokens from a refresh carry no nonce.
+    assert.ok(await verify(sign(claims({ nonce: undefined }))));
+});
+
+test('tampered, wrongly signed and malformed tokens are rejected', async () => {
+    const { verify } = serveJwks([jwk(rsa, 'key-1', 'RS256')]);
+
+    const [header, , signature] = sign(claims()).split('.');
+    const tampered = `${header}.${b64(claims({ sub: 'auth0|someone-else' }))}.${signature}`;
+    await rejectsWith(verify(tampered), 'invalid_signature');
+    await rejectsWith(verify(sign(claims(), { pair: rsaNext })), 'invalid_signature');
+
+    await rejectsWith(verify('not-a-token'), 'malformed');
+    await rejectsWith(verify(`${header}.!!!.${signature}`), 'malformed');
+    await rejectsWith(verify(sign(claims(), { alg: 'HS256' })), 'invalid_alg');
+    await rejectsWith(verify(sign(claims({ sub: '' }))), 'malformed');
+});
+
+test('an unknown kid refetches the JWKS at most once a minute', async () => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    const { served, verify } = serveJwks([jwk(rsa, 'key-1', 'RS256')]);
+
+    await verify(sign(claims()));
+    assert.equal(served.fetches, 1);
+
+    // The issuer rotates to a new key; the cache was fetched moments ago.
+    served.keys = [jwk(rsa, 'key-1', 'RS256'), jwk(rsaNext, 'key-2', 'RS256')];
+    const rotated = sign(claims(), { pair: rsaNext, kid: 'key-2' });
+    await rejectsWith(verify(rotated), 'unknown_key');
+    assert.equal(served.fetches, 1);
+
+    mock.timers.tick(60 * 1000);
+    assert.equal((await verify(rotated)).sub, 'auth0|user-1');
+    assert.equal(served.fetches, 2);
+
+    // Known keys keep being served from the cache.
+    await verify(sign(claims()));
+    assert.equal(served.fetches, 2);
+});
+
+test('cached keys are used when a refetch fails, and missing keys fail cleanly', async () => {
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+    const { verify } = serveJwks([jwk(rsa, 'key-1', 'RS256')]);
+    await verify(sign(claims()));
+
+    // Past the cache TTL, with the issuer down.
+    mock.timers.tick(60 * 60 * 1000);
+    globalThis.fetch.mock.mockImplementation(async () => new Response('', { status: 503 }));
+    assert.ok(await verify(sign(claims())));
+    await rejectsWith(verify(sign(claims(), { pair: rsaNext, kid: 'key-2' })), 'jwks_unavailable');
+    // Both verifications tried the issuer again.
+    assert.equal(globalThis.fetch.mock.callCount(), 3);
+});
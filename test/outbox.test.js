@@ -0,0 +1,117 @@
+import { after, afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import Outbox from '../src/utils/outbox.js';
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let fileCount = 0;
+function queueFile() {
+    return path.join(tmpDir, `outbox-${++fileCount}.json`);
+}
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    // No jitter: every delay is the middle of its window.
+    mock.method(Math, 'random', () => 0.5);
+});
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+test('enqueueing the same kind and key replaces the older item', () => {
+    const outbox = new Outbox({ filePath: queueFile() });
+    outbox.enqueue('register', 'rec-1', { url: 'a' });
+    outbox.enqueue('register', 'rec-2', { url: 'b' });
+    outbox.enqueue('register', 'rec-1', { url: 'c' });
+    outbox.enqueue('timeline', 'rec-1', { pauses: [] });
+
+    assert.deepEqual(
+        outbox.list().map((i) => [i.kind, i.key, i.payload]),
+        [
+            ['register', 'rec-2', { url: 'b' }],
+            ['register', 'rec-1', { url: 'c' }],
+            ['timeline', 'rec-1', { pauses: [] }],
+        ],
+    );
+
+    // The queue survives a restart.
+    assert.equal(new Outbox({ filePath: outbox.filePath }).size, 3);
+});
+
+test('failed deliveries back off 30s, 30s, 1m, 2m, 5m, 15m, then 30m', async () => {
+    const outbox = new Outbox({ filePath: queueFile() });
+    const calls = [];
+    outbox.setHandler('register', async () => {
+        calls.push(Date.now());
+        throw new Error('503');
+    });
+    outbox.enqueue('register', 'rec-1', {});
+
+    // Not due yet.
+    await outbox.flush();
+    assert.equal(calls.length, 0);
+
+    const delays = [30 * SEC, 30 * SEC, MIN, 2 * MIN, 5 * MIN, 15 * MIN, 30 * MIN, 30 * MIN];
+    for (const delay of delays) {
+        mock.timers.tick(delay);
+        await outbox.flush();
+    }
+    const gaps = calls.map((at, i) => at - (calls[i - 1] ?? 0));
+    assert.deepEqual(gaps, delays);
+    assert.equal(outbox.list()[0].attempts, delays.length);
+    assert.equal(outbox.list()[0].lastError, '503');
+});
+
+test('delivery removes the item and a permanent failure drops it', async () => {
+    const outbox = new Outbox({
+        filePath: queueFile(),
+        isPermanent: (e) => e.status === 400,
+    });
+    outbox.setHandler('register', async (payload) => {
+        if (payload.bad) throw Object.assign(new Error('bad request'), { status: 400 });
+    });
+    outbox.enqueue('register', 'ok', {});
+    outbox.enqueue('register', 'bad', { bad: true });
+
+    await outbox.wake('test');
+    assert.equal(outbox.size, 0);
+});
+
+test('nothing is sent while offline; wake() replays everything at once', async () => {
+    let online = false;
+    const outbox = new Outbox({ filePath: queueFile(), isOnline: () => online });
+    const sent = [];
+    outbox.setHandler('register', async (_payload, item) => sent.push(item.key));
+    outbox.enqueue('register', 'rec-1', {});
+    outbox.enqueue('register', 'rec-2', {});
+
+    mock.timers.tick(MIN);
+    await outbox.flush();
+    assert.deepEqual(sent, []);
+
+    online = true;
+    // Both are due immediately even though rec-2 was never attempted.
+    await outbox.wake('online');
+    assert.deepEqual(sent, ['rec-1', 'rec-2']);
+    assert.equal(outbox.size, 0);
+});
+
+test('items older than a week are dropped unsent', async () => {
+    const outbox = new Outbox({ filePath: queueFile() });
+    const sent = [];
+    outbox.setHandler('register', async (_payload, item) => sent.push(item.key));
+    outbox.enqueue('register', 'stale', {});
+
+    mock.timers.tick(7 * 24 * 60 * MIN + 1);
+    await outbox.flush();
+    assert.deepEqual(sent, []);
+    assert.equal(outbox.size, 0);
+});
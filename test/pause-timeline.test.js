@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPauseTimeline, pauseTimelineIds } from '../src/utils/pause-timeline.js';
+
+const T0 = Date.parse('2026-03-02T10:00:00.000Z');
+const SEC = 1000;
+
+// Ledger record as recordSessionTransitionInLedger leaves it once the session has ended.
+function endedRecord(overrides = {}) {
+    return {
+        id: 'attempt-1',
+        status: 'ended',
+        recordingId: 'rec-1',
+        sdkUploadId: 'upload-1',
+        startedAt: T0,
+        stoppedAt: T0 + 600 * SEC,
+        endedAt: T0 + 605 * SEC,
+        pauses: [{ pausedAt: T0 + 60 * SEC, resumedAt: T0 + 90 * SEC }],
+        ...overrides,
+    };
+}
+
+test('meeting closes before recording-ended: ids come from the ledger record', () => {
+    // meeting-closed dropped currentMeetingInfo, so there are no live ids.
+    const liveIds = { recordingId: undefined, sdkUploadId: undefined };
+    assert.deepEqual(pauseTimelineIds(endedRecord(), liveIds), {
+        recordingId: 'rec-1',
+        sdkUploadId: 'upload-1',
+    });
+    assert.equal(buildPauseTimeline(endedRecord()).pauses.length, 1);
+});
+
+test('live ids only fill in what the ledger record is missing', () => {
+    const record = endedRecord({ sdkUploadId: undefined });
+    assert.deepEqual(pauseTimelineIds(record, { recordingId: 'rec-2', sdkUploadId: 'upload-2' }), {
+        recordingId: 'rec-1',
+        sdkUploadId: 'upload-2',
+    });
+    assert.deepEqual(pauseTimelineIds(null), { recordingId: null, sdkUploadId: null });
+});
+
+test('buildPauseTimeline offsets pauses in wall-clock and media time', () => {
+    const record = endedRecord({
+        pauses: [
+            { pausedAt: T0 + 200 * SEC, resumedAt: T0 + 260 * SEC },
+            { pausedAt: T0 + 60 * SEC, resumedAt: T0 + 90 * SEC },
+        ],
+    });
+    assert.deepEqual(buildPauseTimeline(record), {
+        startedAt: '2026-03-02T10:00:00.000Z',
+        endedAt: '2026-03-02T10:10:00.000Z',
+        pauses: [
+            {
+                pausedAt: '2026-03-02T10:01:00.000Z',
+                resumedAt: '2026-03-02T10:01:30.000Z',
+                offsetMs: 60 * SEC,
+                durationMs: 30 * SEC,
+                mediaOffsetMs: 60 * SEC,
+            },
+            {
+                pausedAt: '2026-03-02T10:03:20.000Z',
+                resumedAt: '2026-03-02T10:04:20.000Z',
+                offsetMs: 200 * SEC,
+                durationMs: 60 * SEC,
+                mediaOffsetMs: 170 * SEC,
+            },
+        ],
+    });
+});
+
+test('a pause still open at the stop runs to the end of the recording', () => {
+    const record = endedRecord({ pauses: [{ pausedAt: T0 + 500 * SEC, resumedAt: null }] });
+    const [pause] = buildPauseTimeline(record).pauses;
+    assert.equal(pause.resumedAt, null);
+    assert.equal(pause.durationMs, 100 * SEC);
+});
+
+test('no timeline for a recording that never started', () => {
+    assert.equal(buildPauseTimeline(endedRecord({ startedAt: undefined })), null);
+    assert.equal(buildPauseTimeline(null), null);
+});
@@ -0,0 +1,97 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import RecordingGuard, { GuardReason } from '../src/utils/recording-guard.js';
+
+const MINUTE = 60 * 1000;
+const GRACE_MS = 2 * MINUTE;
+
+beforeEach(() => mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: 0 }));
+afterEach(() => mock.timers.reset());
+
+function startGuard(limits, { idleSeconds = 0 } = {}) {
+    const state = { idleSeconds };
+    const guard = new RecordingGuard({ getIdleSeconds: () => state.idleSeconds });
+    const events = [];
+    guard.on('warning', (e) => events.push({ type: 'warning', ...e }));
+    guard.on('auto-stop', (e) => events.push({ type: 'auto-stop', ...e }));
+    guard.configure(limits);
+    guard.start();
+    return { guard, events, state };
+}
+
+test('max duration warns on the first check at or past the limit, then auto-stops', () => {
+    const { guard, events } = startGuard({ maxDurationMinutes: 30 });
+
+    mock.timers.tick(29 * MINUTE);
+    assert.equal(events.length, 0);
+
+    mock.timers.tick(MINUTE);
+    assert.deepEqual(
+        events.map((e) => [e.type, e.reason]),
+        [['warning', GuardReason.MAX_DURATION]],
+    );
+    assert.equal(events[0].stopAt, 30 * MINUTE + GRACE_MS);
+
+    mock.timers.tick(GRACE_MS);
+    assert.deepEqual(events.at(-1), {
+        type: 'auto-stop',
+        reason: GuardReason.MAX_DURATION,
+        elapsedMs: 30 * MINUTE,
+    });
+    guard.stop();
+});
+
+test('idle time below the limit does not warn', () => {
+    const { guard, events, state } = startGuard({ idleMinutes: 15 });
+
+    state.idleSeconds = 15 * 60 - 1;
+    mock.timers.tick(MINUTE);
+    assert.equal(events.length, 0);
+
+    state.idleSeconds = 15 * 60;
+    mock.timers.tick(MINUTE);
+    assert.equal(events[0].reason, GuardReason.IDLE);
+    assert.equal(events[0].idleMs, 15 * MINUTE);
+    guard.stop();
+});
+
+test('keep() cancels the auto-stop and snoozes the same warning for 30 minutes', () => {
+    const { guard, events } = startGuard({ maxDurationMinutes: 1 });
+
+    mock.timers.tick(MINUTE);
+    guard.keep();
+    mock.timers.tick(GRACE_MS);
+    assert.deepEqual(
+        events.map((e) => e.type),
+        ['warning'],
+    );
+
+    // Snoozed until 31 minutes in, when the next check warns again.
+    mock.timers.tick(27 * MINUTE);
+    assert.equal(events.length, 1);
+    mock.timers.tick(MINUTE);
+    assert.equal(events.length, 2);
+    guard.stop();
+});
+
+test('limits of 0 are disabled', () => {
+    const { guard, events } = startGuard(
+        { maxDurationMinutes: 0, idleMinutes: 0 },
+        { idleSeconds: 1e6 },
+    );
+    mock.timers.tick(24 * 60 * MINUTE);
+    assert.equal(events.length, 0);
+    guard.stop();
+});
+
+test('stop() drops a pending warning', () => {
+    const { guard, events } = startGuard({ maxDurationMinutes: 1 });
+    mock.timers.tick(MINUTE);
+    guard.stop();
+    mock.timers.tick(GRACE_MS);
+    assert.deepEqual(
+        events.map((e) => e.type),
+        ['warning'],
+    );
+    assert.equal(guard.active, false);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RecordingSession, { SessionState } from '../src/utils/recording-session.js';
+
+const S = SessionState;
+
+function sessionIn(...states) {
+    const session = new RecordingSession();
+    session.detect('window-1');
+    for (const state of states) assert.ok(session.transition(state), `-> ${state}`);
+    return session;
+}
+
+test('isInFlight covers capture states and UPLOADING', () => {
+    assert.equal(sessionIn().isInFlight(), false);
+    assert.equal(sessionIn(S.STARTING).isInFlight(), true);
+    assert.equal(sessionIn(S.STARTING, S.RECORDING, S.STOPPING).isInFlight(), true);
+
+    const uploading = sessionIn(S.STARTING, S.RECORDING, S.STOPPING, S.UPLOADING);
+    assert.equal(uploading.isCapturing(), false);
+    assert.equal(uploading.isInFlight(), true);
+
+    assert.equal(sessionIn(S.STARTING, S.RECORDING, S.ENDED).isInFlight(), false);
+});
+
+test('reset is refused while UPLOADING and keeps the attempt', () => {
+    const session = sessionIn(S.STARTING, S.RECORDING, S.STOPPING, S.UPLOADING);
+    const { attemptId } = session;
+
+    assert.equal(session.reset('meeting-closed'), false);
+    assert.equal(session.state, S.UPLOADING);
+    assert.equal(session.attemptId, attemptId);
+    assert.equal(session.windowId, 'window-1');
+
+    // recording-ended finishes the attempt; the reset after it goes through.
+    assert.ok(session.transition(S.ENDED, { reason: 'recording-ended' }));
+    assert.equal(session.reset('recording-ended'), true);
+    assert.equal(session.state, S.IDLE);
+    assert.equal(session.attemptId, null);
+});
+
+test('reset drops a capturing session', () => {
+    const session = sessionIn(S.STARTING, S.RECORDING);
+    assert.equal(session.reset('logout'), true);
+    assert.equal(session.state, S.IDLE);
+    assert.equal(session.windowId, null);
+});
+
+test('detect is refused while UPLOADING', () => {
+    const session = sessionIn(S.STARTING, S.RECORDING, S.UPLOADING);
+    const { attemptId } = session;
+
+    assert.equal(session.detect('window-2'), false);
+    assert.equal(session.windowId, 'window-1');
+    assert.equal(session.attemptId, attemptId);
+});
@@ -0,0 +1,5 @@
+import { register } from 'node:module';
+
+// The app sources use webpack-style extensionless imports ('./logger'); let plain node
+// resolve them so the utils modules can be tested without a bundle.
+register('./resolve-extensionless.js', import.meta.url);
@@ -0,0 +1,13 @@
+import * as path from 'path';
+
+export async function resolve(specifier, context, nextResolve) {
+    const relative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (relative && !path.extname(specifier)) {
+        try {
+            return await nextResolve(`${specifier}.js`, context);
+        } catch {
+            // Not a sibling .js file; let node report the original specifier.
+        }
+    }
+    return nextResolve(specifier, context);
+}
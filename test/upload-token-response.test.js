@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    parseUploadTokenResponse,
+    redactUploadToken,
+    UploadTokenResponseError,
+} from '../src/utils/upload-token-response.js';
+
+// One fixture per response shape the backend has returned: `response` with either the
+// normalized `expected` result or the `error` it must be rejected with.
+const FIXTURES_DIR = path.join(
+    path.dirname(fileURLToPath(import.meta.url)),
+    'fixtures',
+    'upload-token',
+);
+
+const fixtures = fs
+    .readdirSync(FIXTURES_DIR)
+    .filter((name) => name.endsWith('.json'))
+    .sort()
+    .map((name) => ({
+        name,
+        ...JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8')),
+    }));
+
+for (const fixture of fixtures) {
+    test(`${fixture.name}: ${fixture.description}`, () => {
+        const parse = () =>
+            parseUploadTokenResponse(fixture.response, { receivedAt: fixture.receivedAt });
+
+        if (fixture.error) {
+            assert.throws(parse, (e) => {
+                assert.ok(e instanceof UploadTokenResponseError);
+                assert.deepEqual(e.missing, fixture.error.missing);
+                assert.deepEqual(e.invalid, fixture.error.invalid);
+                assert.equal(e.shape, fixture.error.shape);
+                assert.equal(e.retryable, false);
+                return true;
+            });
+        } else {
+            assert.deepEqual(parse(), fixture.expected);
+        }
+    });
+}
+
+test('every shape has a fixture', () => {
+    const shapes = new Set(fixtures.map((f) => f.expected?.shape).filter(Boolean));
+    assert.deepEqual([...shapes].sort(), ['flat', 'nested', 'string']);
+});
+
+test('redactUploadToken keeps only the ends of the token', () => {
+    assert.equal(redactUploadToken('abcdefghijkl'), 'abcd…kl');
+    assert.equal(redactUploadToken('short'), '***');
+    assert.equal(redactUploadToken(null), null);
+});
@@ -0,0 +1,77 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import UploadTracker, { UploadStatus } from '../src/utils/upload-tracker.js';
+
+const STALL_MS = 1000;
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+afterEach(() => mock.timers.reset());
+
+function trackerWithUpload() {
+    const tracker = new UploadTracker({ stallTimeoutMs: STALL_MS });
+    tracker.begin('window-1', { attemptId: 'attempt-1', recordingId: 'rec-1' });
+    return tracker;
+}
+
+test('an upload without progress for the stall timeout fails', () => {
+    const tracker = trackerWithUpload();
+
+    mock.timers.tick(STALL_MS - 1);
+    assert.equal(tracker.get('window-1').status, UploadStatus.UPLOADING);
+
+    mock.timers.tick(1);
+    const upload = tracker.get('window-1');
+    assert.equal(upload.status, UploadStatus.FAILED);
+    assert.equal(upload.error, 'Upload stalled');
+});
+
+test('progress, even a repeated percentage, re-arms the stall timer', () => {
+    const tracker = trackerWithUpload();
+
+    mock.timers.tick(STALL_MS - 100);
+    tracker.progress('window-1', 40);
+    mock.timers.tick(STALL_MS - 100);
+    tracker.progress('window-1', 40);
+    mock.timers.tick(STALL_MS - 100);
+
+    const upload = tracker.get('window-1');
+    assert.equal(upload.status, UploadStatus.UPLOADING);
+    assert.equal(upload.progress, 40);
+});
+
+test('a finished upload no longer stalls', () => {
+    const tracker = trackerWithUpload();
+    tracker.progress('window-1', 100);
+
+    mock.timers.tick(STALL_MS * 2);
+    const upload = tracker.get('window-1');
+    assert.equal(upload.status, UploadStatus.COMPLETED);
+    assert.equal(upload.progress, 100);
+});
+
+test('progress after a stall means the SDK retried on its own', () => {
+    const tracker = trackerWithUpload();
+    mock.timers.tick(STALL_MS);
+    assert.equal(tracker.get('window-1').status, UploadStatus.FAILED);
+
+    tracker.progress('window-1', 55);
+    const upload = tracker.get('window-1');
+    assert.equal(upload.status, UploadStatus.UPLOADING);
+    assert.equal(upload.error, null);
+
+    // ...and the retried upload can stall again.
+    mock.timers.tick(STALL_MS);
+    assert.equal(tracker.get('window-1').status, UploadStatus.FAILED);
+});
+
+test('begin after a failure of the same attempt counts a retry', () => {
+    const tracker = trackerWithUpload();
+    mock.timers.tick(STALL_MS);
+
+    const retry = tracker.begin('window-1', { attemptId: 'attempt-1', recordingId: 'rec-1' });
+    assert.equal(retry.retries, 1);
+    assert.equal(retry.status, UploadStatus.UPLOADING);
+
+    const next = tracker.begin('window-1', { attemptId: 'attempt-2' });
+    assert.equal(next.retries, 0);
+});